@@ -0,0 +1,341 @@
+/**
+ * @copyright This code belongs to Solo Hunters Open Source Community
+ */
+
+// Background service worker
+// Owns the API keys (encrypted at rest by keyStore.js) and performs every API request, so caching, rate limiting and logging
+// are shared by all tabs. Content scripts reach it through modules/apiClient.js
+
+importScripts(
+  'modules/providers.js',
+  'modules/alignment.js',
+  'modules/schemas.js',
+  'modules/prompts.js',
+  'modules/scheduler.js',
+  'modules/rules.js',
+  'modules/segmenter.js',
+  'modules/resultCache.js',
+  'modules/usage.js',
+  'modules/mockProvider.js',
+  'modules/languageTool.js',
+  'modules/keyStore.js',
+  'modules/credentials.js',
+  'modules/fallback.js',
+  'modules/api.js',
+  'modules/providerCheck.js'
+);
+
+// Storage keys the tabs act on (see handleSettingsChange in content.js): the provider settings, the underline
+// settings of config.js, the installed dictionaries, the prompts and the daily budget. Other writes, such as
+// the prompt history or the recordings flag, change nothing in a tab and are not announced
+const CHECK_SETTINGS_KEYS = [
+  'grammarBackend',
+  'languageToolUrl',
+  'languageToolLanguage',
+  'mergeOfflineRules',
+  'spellCheckEnabled',
+  'spellLanguage',
+  'detailedGrammarCheckEnabled',
+  'spellDictionaries',
+  PROMPT_TEMPLATES_KEY,
+  PROMPT_VARIABLES_KEY,
+  DAILY_BUDGET_KEY
+];
+
+function getAnnouncedSettingsKeys() {
+  return [...getProviderStorageKeys(), 'activeModel', ...CHECK_SETTINGS_KEYS];
+}
+
+// Tell the content scripts of every tab, in all its frames, about a settings change: {type: 'SETTINGS_CHANGED', keys, provider}
+// It names the storage keys that changed but never their values, so no API key reaches a page
+async function publishSettingsChange(keys) {
+  const provider = await getProviderStatus();
+  const tabs = await chrome.tabs.query({});
+  tabs.forEach(tab => {
+    chrome.tabs.sendMessage(tab.id, { type: 'SETTINGS_CHANGED', keys, provider }).catch(() => {
+      // Tabs without the content scripts (browser pages, excluded sites) have nobody listening
+    });
+  });
+}
+
+chrome.storage.onChanged.addListener(function(changes, areaName) {
+  if (areaName !== 'sync' && areaName !== 'local') {
+    return;
+  }
+  const announcedKeys = getAnnouncedSettingsKeys();
+  const keys = Object.keys(changes).filter(key => announcedKeys.includes(key));
+  if (keys.length > 0) {
+    publishSettingsChange(keys).catch(error => console.error('Error announcing settings change:', error));
+  }
+});
+
+// Key management for the popup, {type: 'KEY_STORE', action, ...} (see keyStore.js)
+const KEY_STORE_ACTIONS = {
+  getStatus: () => getKeyStoreStatus(),
+  save: request => saveApiKey(request.providerId, request.apiKey),
+  reveal: request => revealApiKey(request.providerId),
+  delete: request => deleteApiKey(request.providerId),
+  setPassphrase: request => setKeyPassphrase(request.passphrase),
+  setStorageArea: request => setKeyStorageArea(request.area),
+  // Locking and unlocking change no storage, so tabs are told about it here
+  unlock: request => unlockKeyStore(request.passphrase).then(notifyKeyStoreUnlockChange),
+  lock: () => lockKeyStore().then(notifyKeyStoreUnlockChange)
+};
+
+function notifyKeyStoreUnlockChange(result) {
+  resetProviderState();
+  return publishSettingsChange([API_KEY_STORE_KEY]).then(() => result);
+}
+
+// Saved analyses and LanguageTool results, shown and cleared from the popup
+const RESULT_CACHE_ACTIONS = {
+  status: () => getResultCacheStatus(),
+  clear: () => clearAnalysisCaches()
+};
+
+// Token totals for the popup, {type: 'USAGE', action: 'summary' | 'clear'} (see usage.js)
+const USAGE_ACTIONS = {
+  summary: () => getUsageSummary(),
+  clear: () => clearUsage()
+};
+
+// Recorded responses of the mock provider, {type: 'MOCK_RECORDINGS', action} (see mockProvider.js)
+const MOCK_RECORDING_ACTIONS = {
+  status: () => getMockRecordingStatus(),
+  export: () => exportMockRecordings(),
+  clear: () => clearMockRecordings()
+};
+
+// Files content scripts may read with READ_DICTIONARY, the bundled Hunspell dictionaries only
+const DICTIONARY_FILE_PATTERN = /^dictionaries\/[\w-]+\.(aff|dic)$/;
+
+// Only extension pages such as the popup may manage keys, never content scripts
+function isExtensionPage(sender) {
+  return sender.id === chrome.runtime.id && !!sender.url && sender.url.startsWith(chrome.runtime.getURL(''));
+}
+
+// Calls content scripts can make with {type: 'API_CALL', method, args, callId}
+// The checks get an AbortSignal that fires when the content script cancels the call,
+// and the provider calls the site of the sender's tab, which their tokens are counted for
+const API_METHODS = {
+  getGrammarSuggestions: ([text], signal, site) => getGrammarSuggestions(text, site),
+  analyzeSentiment: ([text], signal, site) => analyzeSentiment(text, site),
+  checkGrammarWithDetails: ([text], signal, site) => checkGrammarWithDetails(text, signal, site),
+  checkWithLanguageTool: ([text], signal) => checkWithLanguageTool(text, signal)
+};
+
+// Calls still running, by sender and callId, so {type: 'CANCEL_API_CALL', callId} can abort them
+const apiCallControllers = new Map();
+
+function getApiCallKey(sender, callId) {
+  return `${sender.tab ? sender.tab.id : 'extension'}:${sender.frameId || 0}:${callId}`;
+}
+
+function describeSender(sender) {
+  return sender.tab ? `tab ${sender.tab.id}` : 'extension page';
+}
+
+// Site a sender's calls are counted for: the tab's page, also for content scripts in its iframes
+function getSenderSite(sender) {
+  return getUsageSite(sender.tab ? sender.tab.url : sender.url);
+}
+
+chrome.runtime.onMessage.addListener(function(request, sender, sendResponse) {
+  if (request.type === 'GET_PROVIDER_STATUS') {
+    getProviderStatus().then(sendResponse);
+    return true; // Required to use sendResponse asynchronously
+  }
+
+  if (request.type === 'KEY_STORE') {
+    const action = KEY_STORE_ACTIONS[request.action];
+    if (!action || !isExtensionPage(sender)) {
+      sendResponse({ error: `Key store action not allowed: ${request.action}` });
+      return false;
+    }
+
+    Promise.resolve()
+      .then(() => action(request))
+      .then(result => sendResponse({ result }))
+      .catch(error => {
+        console.error(`Error in key store action ${request.action}:`, error);
+        sendResponse({ error: error.message });
+      });
+    return true;
+  }
+
+  // Saved results for the popup, {type: 'RESULT_CACHE', action: 'status' | 'clear'} (see resultCache.js)
+  if (request.type === 'RESULT_CACHE') {
+    const action = RESULT_CACHE_ACTIONS[request.action];
+    if (!action || !isExtensionPage(sender)) {
+      sendResponse({ error: `Result cache action not allowed: ${request.action}` });
+      return false;
+    }
+
+    action()
+      .then(result => sendResponse({ result }))
+      .catch(error => {
+        console.error(`Error in result cache action ${request.action}:`, error);
+        sendResponse({ error: error.message });
+      });
+    return true;
+  }
+
+  // Token totals and the budget for the popup's usage section
+  if (request.type === 'USAGE') {
+    const action = USAGE_ACTIONS[request.action];
+    if (!action || !isExtensionPage(sender)) {
+      sendResponse({ error: `Usage action not allowed: ${request.action}` });
+      return false;
+    }
+
+    action()
+      .then(result => sendResponse({ result }))
+      .catch(error => {
+        console.error(`Error in usage action ${request.action}:`, error);
+        sendResponse({ error: error.message });
+      });
+    return true;
+  }
+
+  // Recordings for the popup's mock provider section, the export holds the recorded texts
+  if (request.type === 'MOCK_RECORDINGS') {
+    const action = MOCK_RECORDING_ACTIONS[request.action];
+    if (!action || !isExtensionPage(sender)) {
+      sendResponse({ error: `Recording action not allowed: ${request.action}` });
+      return false;
+    }
+
+    action()
+      .then(result => sendResponse({ result }))
+      .catch(error => {
+        console.error(`Error in recording action ${request.action}:`, error);
+        sendResponse({ error: error.message });
+      });
+    return true;
+  }
+
+  // Test call and model list for the popup's save button (see providerCheck.js)
+  if (request.type === 'VALIDATE_PROVIDER') {
+    if (!isExtensionPage(sender)) {
+      sendResponse({ error: 'Provider checks are only allowed from the popup' });
+      return false;
+    }
+
+    validateProvider(request.providerId, request.apiKey, request.settings)
+      .then(result => sendResponse({ result }))
+      .catch(error => {
+        console.error('Error validating provider:', error);
+        sendResponse({ error: error.message });
+      });
+    return true;
+  }
+
+  // Models the saved key can use, for the popup's model pickers
+  if (request.type === 'LIST_MODELS') {
+    if (!isExtensionPage(sender)) {
+      sendResponse({ error: 'Model lists are only available to the popup' });
+      return false;
+    }
+
+    getProviderModels(request.providerId, request.settings)
+      .then(result => sendResponse({ result }))
+      .catch(error => {
+        console.error('Error listing models:', error);
+        sendResponse({ error: error.message });
+      });
+    return true;
+  }
+
+  if (request.type === 'API_CALL') {
+    const method = API_METHODS[request.method];
+    if (!method) {
+      sendResponse({ error: `Unknown API method: ${request.method}` });
+      return false;
+    }
+
+    console.log(`${request.method} requested by ${describeSender(sender)}`);
+    const callKey = getApiCallKey(sender, request.callId);
+    const controller = new AbortController();
+    apiCallControllers.set(callKey, controller);
+    Promise.resolve()
+      .then(() => method(request.args || [], controller.signal, getSenderSite(sender)))
+      .then(result => sendResponse({ result }))
+      .catch(error => {
+        if (error.name !== 'AbortError') {
+          console.error(`Error in ${request.method}:`, error);
+        }
+        sendResponse({ error: error.message, status: error.status, name: error.name });
+      })
+      .finally(() => apiCallControllers.delete(callKey));
+    return true;
+  }
+
+  // The text of a check changed before it finished (see documentModel.js)
+  if (request.type === 'CANCEL_API_CALL') {
+    const controller = apiCallControllers.get(getApiCallKey(sender, request.callId));
+    if (controller) {
+      controller.abort();
+    }
+    return false;
+  }
+
+  // The spell checker's bundled dictionaries (see spellcheck.js), which are not web accessible
+  if (request.type === 'READ_DICTIONARY') {
+    if (!DICTIONARY_FILE_PATTERN.test(request.path)) {
+      sendResponse({ error: `Not a bundled dictionary: ${request.path}` });
+      return false;
+    }
+
+    fetch(chrome.runtime.getURL(request.path))
+      .then(response => {
+        if (!response.ok) {
+          throw new Error(`Could not read ${request.path}`);
+        }
+        return response.text();
+      })
+      .then(result => sendResponse({ result }))
+      .catch(error => {
+        console.error('Error reading dictionary:', error);
+        sendResponse({ error: error.message });
+      });
+    return true;
+  }
+
+  return false;
+});
+
+// Streamed suggestions go over a port, one message per suggestion
+chrome.runtime.onConnect.addListener(function(port) {
+  if (port.name !== 'suggestion-stream') {
+    return;
+  }
+
+  // The popup may be closed before the stream ends
+  let connected = true;
+  port.onDisconnect.addListener(() => {
+    connected = false;
+  });
+  const post = message => {
+    if (connected) {
+      port.postMessage(message);
+    }
+  };
+
+  port.onMessage.addListener(function(request) {
+    console.log(`streamGrammarSuggestions requested by ${describeSender(port.sender)}`);
+    streamGrammarSuggestions(request.text, (suggestion, index, suggestionType) => {
+      post({ type: 'suggestion', suggestion, index, suggestionType });
+    }, getSenderSite(port.sender))
+      // Suggestions still work past the daily budget, the popup warns that underline checks are paused
+      .then(async ({ suggestions, provider }) => post({
+        type: 'done',
+        suggestions,
+        provider,
+        budgetReached: await isDailyBudgetReached()
+      }))
+      .catch(error => {
+        console.error('Error streaming suggestions:', error);
+        post({ type: 'error', message: error.message });
+      });
+  });
+});
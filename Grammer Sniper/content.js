@@ -41,11 +41,14 @@ function startExtension() {
       return;
     }
     
-    // Try to load API key with better error handling
-    loadApiKey()
+    // Ask the background service worker whether a provider is configured
+    // Grammar backend settings are loaded first since a LanguageTool server needs no API key
+    migrateLocalStorageSettings()
+      .then(() => loadGrammarSettings())
+      .then(() => loadProviderStatus())
       .then(apiKeyLoaded => {
-        if (apiKeyLoaded) {
-          console.log("API key loaded successfully, initializing extension...");
+        if (apiKeyLoaded || isGrammarBackendReady()) {
+          console.log("Grammar backend configured, initializing extension...");
           try {
             // Initialize with proper error boundaries
             const result = initialize();
@@ -74,74 +77,63 @@ function startExtension() {
 // Start the extension
 startExtension();
 
-// Listen for API key updates from the popup with better error handling
+// Listen for settings changes made in the popup
+// background.js sends a message naming the changed keys without their values, sync storage
+// itself is never watched here since its changes carry the API keys
 try {
   // Only set up listeners if chrome runtime is available and valid
   if (chrome && chrome.runtime && chrome.runtime.id) {
-    chrome.runtime.onMessage.addListener(function(request, sender, sendResponse) {
-      try {
-        if (request.type === 'API_KEY_UPDATED') {
-          // Store the active model type first
-          if (request.activeModel) {
-            localStorage.setItem('activeModel', request.activeModel);
-            console.log(`Active model updated to: ${request.activeModel}`);
-          }
-          
-          // Use the new reinitialization function
-          const success = reinitializeWithNewKey(request.apiKey);
-          
-          sendResponse({ 
-            success: success, 
-            message: success ? 'API key updated and extension reinitialized' : 'API key updated but reinitialization failed'
-          });
-          
-          return true; // Required to use sendResponse asynchronously
-        } else if (request.type === 'GRAMMAR_SETTINGS_UPDATED') {
-          // Update detailed grammar checking setting
-          const detailedGrammarCheckEnabled = request.detailedGrammarCheckEnabled;
-          localStorage.setItem('detailedGrammarCheckEnabled', detailedGrammarCheckEnabled);
-          
-          // Apply setting to all editable elements
-          try {
-            const editableElements = findEditableElements(document);
-            editableElements.forEach(element => {
-              // Clear existing detailed highlights if disabled
-              if (!detailedGrammarCheckEnabled) {
-                const container = element.parentElement?.querySelector(`.detailed-grammar-container[data-for="${element.id || ''}"]`);
-                if (container) {
-                  container.innerHTML = '';
-                }
-              } else if (typeof initDetailedGrammarCheck === 'function') {
-                // Initialize detailed grammar checking for this element
-                initDetailedGrammarCheck(element);
-              }
-            });
-          } catch (elemError) {
-            console.error("Error updating grammar settings for elements:", elemError);
-          }
-          
-          // Send response
-          sendResponse({ success: true, message: 'Grammar settings updated successfully' });
-          return true;
-        }
-      } catch (msgError) {
-        console.error("Error handling message:", msgError);
-        sendResponse({ success: false, error: msgError.message });
+    chrome.runtime.onMessage.addListener(function(request, sender) {
+      if (request.type === 'SETTINGS_CHANGED' && sender.id === chrome.runtime.id) {
+        handleSettingsChange(request).catch(error => {
+          console.error("Error handling settings change:", error);
+        });
       }
-      return true; // Keep the messaging channel open for other messages
+      return false;
     });
     
-    console.log("Message listeners successfully initialized");
+    console.log("Settings listener successfully initialized");
   } else {
-    console.warn("Chrome runtime not available, message listeners not initialized");
+    console.warn("Chrome runtime not available, settings listener not initialized");
   }
 } catch (setupError) {
-  console.error("Failed to set up message listeners:", setupError);
+  console.error("Failed to set up settings listener:", setupError);
+}
+
+// Apply a settings change ({keys, provider}) and re-run the checks
+async function handleSettingsChange(change) {
+  const changedKeys = change.keys || [];
+  const config = window.GrammarSniperConfig;
+
+  const providerKeys = [...getProviderStorageKeys(), 'activeModel'];
+  if (change.provider && changedKeys.some(key => providerKeys.includes(key))) {
+    config.applyProviderStatus(change.provider);
+    console.log(`Active model updated to: ${change.provider.activeModel}`);
+  }
+
+  if (changedKeys.some(key => Object.values(GRAMMAR_SETTINGS_STORAGE_KEYS).includes(key))) {
+    await config.loadGrammarSettings();
+  }
+
+  // Pick up dictionaries installed or removed in the popup
+  if (changedKeys.some(key => key === USER_DICTIONARY_LIST_KEY || key.startsWith(USER_DICTIONARY_KEY_PREFIX))) {
+    resetSpellCheckers();
+  }
+
+  // The detailed highlights setting only changes how the underlines look, the results stay valid
+  const presentationKeys = [GRAMMAR_SETTINGS_STORAGE_KEYS.detailedCheckEnabled];
+  if (changedKeys.length > 0 && changedKeys.every(key => presentationKeys.includes(key))) {
+    document.querySelectorAll('[data-grammar-check-enabled="true"]').forEach(redrawGrammarHighlights);
+    return;
+  }
+
+  // Re-run checks so underlines come from the new settings
+  rerunGrammarChecks();
 }
 
-// Helper function to get the active model
-function getActiveModel() {
-  return localStorage.getItem('activeModel') || 'gemini'; // Default to gemini if not set
+// Whether underlines are coloured by mistake type (set in the popup)
+function isDetailedGrammarCheckEnabled() {
+  return window.GrammarSniperConfig.getGrammarSettings().detailedCheckEnabled;
 }
 
 // Setup individual input element
@@ -241,12 +233,6 @@ function setupInputElement(element) {
   try {
     // Initialize grammar checking for this element
     initGrammarCheck(element);
-    
-    // Also initialize detailed grammar checking if enabled in settings
-    const detailedGrammarCheckEnabled = localStorage.getItem('detailedGrammarCheckEnabled') === 'true';
-    if (detailedGrammarCheckEnabled && typeof initDetailedGrammarCheck === 'function') {
-      initDetailedGrammarCheck(element);
-    }
 
     const logo = createLogoElement(); // Get logo from ui.js
     // Assign a unique ID for associating the logo with its container and potential popups
@@ -437,10 +423,11 @@ function setupInputElement(element) {
 
         // Only proceed if there's enough text
         if (contentInfo.text.trim() && contentInfo.text.trim().length >= 10) {
-          const suggestions = await getGrammarSuggestions(contentInfo.text); // API call via api.js
-          // Show suggestions popup via ui.js
-          // Note: showSuggestionsPopup now internally handles API calls and DOM replacements via imports
-          await showSuggestionsPopup(element, logo, suggestions, contentInfo);
+          // Stream suggestions into the popup (ui.js) as the API (api.js) produces them
+          const streamSuggestions = (onSuggestion, onProvider, onBudgetReached) => {
+            return streamGrammarSuggestions(contentInfo.text, onSuggestion, onProvider, onBudgetReached);
+          };
+          await showSuggestionsPopup(element, logo, streamSuggestions, contentInfo);
         } else {
           // Show popup indicating not enough text
           await showSuggestionsPopup(element, logo, null, contentInfo);
@@ -897,7 +884,7 @@ function addGrammarSettingsToPopup() {
   heading.style.marginBottom = '15px';
   settingsSection.appendChild(heading);
   
-  // Create toggle for detailed grammar check
+  // Create toggle for detailed highlights
   const toggleContainer = document.createElement('div');
   toggleContainer.style.display = 'flex';
   toggleContainer.style.alignItems = 'center';
@@ -905,7 +892,7 @@ function addGrammarSettingsToPopup() {
   toggleContainer.style.marginBottom = '10px';
   
   const toggleLabel = document.createElement('label');
-  toggleLabel.textContent = 'Detailed Grammar Check';
+  toggleLabel.textContent = 'Detailed Mistake Highlights';
   toggleLabel.style.fontWeight = 'bold';
   toggleLabel.style.fontSize = '14px';
   
@@ -921,8 +908,7 @@ function addGrammarSettingsToPopup() {
   toggleInput.id = 'detailed-grammar-toggle';
   
   // Check storage for current setting
-  const detailedGrammarCheckEnabled = localStorage.getItem('detailedGrammarCheckEnabled') === 'true';
-  toggleInput.checked = detailedGrammarCheckEnabled;
+  toggleInput.checked = isDetailedGrammarCheckEnabled();
   
   const toggleSlider = document.createElement('span');
   toggleSlider.className = 'slider round';
@@ -967,7 +953,6 @@ function addGrammarSettingsToPopup() {
   // Add event listener to the toggle
   toggleInput.addEventListener('change', () => {
     const isChecked = toggleInput.checked;
-    localStorage.setItem('detailedGrammarCheckEnabled', isChecked);
     
     // Update visual style
     if (isChecked) {
@@ -978,14 +963,11 @@ function addGrammarSettingsToPopup() {
       toggleSlider.style.backgroundColor = '#ccc';
     }
     
-    // Send message to content script
-    chrome.runtime.sendMessage({
-      type: 'GRAMMAR_SETTINGS_UPDATED',
-      detailedGrammarCheckEnabled: isChecked
-    }, (response) => {
+    // Every tab picks the change up through the settings listener
+    chrome.storage.sync.set({ detailedGrammarCheckEnabled: isChecked }, () => {
       if (chrome.runtime.lastError) {
-        console.error('Error sending message:', chrome.runtime.lastError);
-      } else if (response && response.success) {
+        console.error('Error saving grammar settings:', chrome.runtime.lastError);
+      } else {
         console.log('Grammar settings updated successfully');
       }
     });
@@ -995,8 +977,8 @@ function addGrammarSettingsToPopup() {
   popupBody.appendChild(settingsSection);
 }
 
-// The initialize() function is called within the loadApiKey().then() block
-// ensuring it only runs after the API key is confirmed to be loaded.
+// The initialize() function is called within the loadProviderStatus().then() block
+// ensuring it only runs after the provider is confirmed to be configured.
 
 // Function to find any editable elements and handle them
 function processEditableElements() {
@@ -1115,39 +1097,9 @@ function handleIframe(iframe) {
           return;
         }
         
-        // Inject necessary scripts into the iframe to ensure functionality
-        try {
-          // Check if we need to inject our scripts
-          if (!doc.querySelector('#grammar-sniper-injected')) {
-            // Create a marker to avoid double injection
-            const marker = doc.createElement('div');
-            marker.id = 'grammar-sniper-injected';
-            marker.style.display = 'none';
-            doc.body.appendChild(marker);
-            
-            // Inject our utility functions
-            const scriptModules = [
-              'utils.js',
-              'config.js',
-              'api.js',
-              'dom.js',
-              'ui.js',
-              'grammarCheck.js'
-            ];
-            
-            // Create a script element for each module
-            scriptModules.forEach(module => {
-              const script = doc.createElement('script');
-              script.src = chrome.runtime.getURL(`modules/${module}`);
-              script.onload = () => {
-                console.log(`Injected ${module} into iframe`);
-              };
-              doc.head.appendChild(script);
-            });
-          }
-        } catch (injectionError) {
-          console.error('Error injecting scripts into iframe:', injectionError);
-        }
+        // Frames get the content scripts themselves (all_frames in the manifest), the modules are not
+        // injected as page scripts, which have no chrome.runtime to reach the background with.
+        // A field set up from here is marked (helperSetup), so the frame's own scripts skip it
 
         // Find and setup editable elements within the iframe
         const iframeElements = findEditableElements(doc);
@@ -1206,14 +1158,10 @@ function handleIframe(iframe) {
   }
 }
 
-// Function to reinitialize when API key is updated
-function reinitializeWithNewKey(apiKey) {
-  // First update the API key
+// Function to re-run the checks when the provider or the grammar settings change
+function rerunGrammarChecks() {
   try {
-    if (typeof updateApiKey === 'function') {
-      updateApiKey(apiKey);
-      console.log('API key updated, reinitializing extension...');
-    }
+    console.log('Settings updated, re-running grammar checks...');
     
     // Re-run grammar checking on any elements already setup
     const elements = document.querySelectorAll('[data-grammar-check-enabled="true"]');
@@ -1221,20 +1169,16 @@ function reinitializeWithNewKey(apiKey) {
     
     elements.forEach(element => {
       if (element._grammarCheckFunction) {
+        // The new settings may find different errors anywhere in the text
+        resetDocumentModel(element);
         // Trigger the debounced grammar check function for this element
         element._grammarCheckFunction();
       }
-      
-      // Also re-run detailed grammar check if enabled
-      const detailedGrammarCheckEnabled = localStorage.getItem('detailedGrammarCheckEnabled') === 'true';
-      if (detailedGrammarCheckEnabled && typeof initDetailedGrammarCheck === 'function') {
-        initDetailedGrammarCheck(element);
-      }
     });
     
     return true;
   } catch (error) {
-    console.error('Error reinitializing with new key:', error);
+    console.error('Error re-running grammar checks:', error);
     return false;
   }
 }
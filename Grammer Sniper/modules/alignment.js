@@ -0,0 +1,162 @@
+/**
+ * @copyright This code belongs to Solo Hunters Open Source Community
+ */
+
+// Mistake alignment
+// Models say where a mistake is, but their offsets are often a few characters off, may count
+// code points instead of UTF-16 units (every emoji before the mistake shifts them by one), and
+// the same word can appear several times. A mistake is anchored on the occurrence of its text
+// that best matches the context the model copied around it and the position it reported.
+// When no occurrence clearly wins the mistake is dropped, so the wrong word is never underlined.
+
+// Characters of the text compared with the model's context on each side
+const ALIGNMENT_CONTEXT_LENGTH = 60;
+// Occurrences whose context scores are this close are told apart by position instead
+const ALIGNMENT_CONTEXT_MARGIN = 0.2;
+// Context that matches less than this around every occurrence was not copied from this text
+const ALIGNMENT_MIN_CONTEXT = 0.5;
+// How far from the reported position the chosen occurrence may be
+const ALIGNMENT_MAX_DRIFT = 20;
+
+const WORD_CHARACTER = /[\p{L}\p{N}_']/u;
+
+// UTF-16 index of the character at a code point index, -1 when the text is shorter
+function codePointToUtf16Index(text, codePointIndex) {
+  let utf16Index = 0;
+  for (let i = 0; i < codePointIndex; i++) {
+    if (utf16Index >= text.length) {
+      return -1;
+    }
+    utf16Index += text.codePointAt(utf16Index) > 0xffff ? 2 : 1;
+  }
+  return utf16Index <= text.length ? utf16Index : -1;
+}
+
+// Every index where snippet starts in text
+function findOccurrences(text, snippet) {
+  const occurrences = [];
+  let index = text.indexOf(snippet);
+  while (index !== -1) {
+    occurrences.push(index);
+    index = text.indexOf(snippet, index + 1);
+  }
+  return occurrences;
+}
+
+// The occurrence of a snippet closest to where it was expected, -1 when there is none
+function findNearestOccurrence(text, snippet, expectedIndex) {
+  let bestIndex = -1;
+  findOccurrences(text, snippet).forEach(index => {
+    if (bestIndex === -1 || Math.abs(index - expectedIndex) < Math.abs(bestIndex - expectedIndex)) {
+      bestIndex = index;
+    }
+  });
+  return bestIndex;
+}
+
+// Whether an occurrence is a whole word or phrase rather than part of a longer word ("was" in "wasn't")
+function isWholeWordMatch(text, start, end) {
+  const cutsStart = start > 0 && WORD_CHARACTER.test(text[start]) && WORD_CHARACTER.test(text[start - 1]);
+  const cutsEnd = end < text.length && WORD_CHARACTER.test(text[end - 1]) && WORD_CHARACTER.test(text[end]);
+  return !cutsStart && !cutsEnd;
+}
+
+function normalizeContext(value) {
+  return typeof value === 'string' ? value.toLowerCase().replace(/\s+/g, ' ').trim() : '';
+}
+
+// Share of the model's context found right around an occurrence, from 0 to 1, or null without context
+function scoreContext(text, start, end, contextBefore, contextAfter) {
+  const before = normalizeContext(contextBefore);
+  const after = normalizeContext(contextAfter);
+  if (!before && !after) {
+    return null;
+  }
+  const textBefore = normalizeContext(text.substring(Math.max(0, start - ALIGNMENT_CONTEXT_LENGTH), start));
+  const textAfter = normalizeContext(text.substring(end, end + ALIGNMENT_CONTEXT_LENGTH));
+
+  let matched = 0;
+  while (matched < before.length && matched < textBefore.length &&
+      before[before.length - 1 - matched] === textBefore[textBefore.length - 1 - matched]) {
+    matched++;
+  }
+  let matchedAfter = 0;
+  while (matchedAfter < after.length && matchedAfter < textAfter.length && after[matchedAfter] === textAfter[matchedAfter]) {
+    matchedAfter++;
+  }
+  return (matched + matchedAfter) / (before.length + after.length);
+}
+
+// Distance from an occurrence to the reported position, read both as UTF-16 and as code points
+function getPositionDistance(text, start, reportedStart) {
+  if (!Number.isInteger(reportedStart) || reportedStart < 0) {
+    return null;
+  }
+  const readings = [reportedStart, codePointToUtf16Index(text, reportedStart)].filter(index => index !== -1);
+  return Math.min(...readings.map(index => Math.abs(start - index)));
+}
+
+// Occurrences of the mistake's text, case-insensitive when the exact text is not there
+function findMistakeOccurrences(text, mistakeText) {
+  let occurrences = findOccurrences(text, mistakeText);
+  const lowerText = text.toLowerCase();
+  // Lowercasing may change the length of some characters, the indices would no longer line up then
+  if (occurrences.length === 0 && lowerText.length === text.length) {
+    occurrences = findOccurrences(lowerText, mistakeText.toLowerCase());
+  }
+  const wholeWords = occurrences.filter(start => isWholeWordMatch(text, start, start + mistakeText.length));
+  return wholeWords.length > 0 ? wholeWords : occurrences;
+}
+
+// Anchor a model-reported mistake {text, start_index, context_before?, context_after?} in the checked text
+// Returns {start, end, text} in UTF-16 indices, or null when it cannot be anchored confidently
+function alignMistake(text, mistake) {
+  const mistakeText = mistake.text;
+  const occurrences = findMistakeOccurrences(text, mistakeText);
+  if (occurrences.length === 0) {
+    return null;
+  }
+
+  const candidates = occurrences.map(start => {
+    const end = start + mistakeText.length;
+    return {
+      start,
+      end,
+      context: scoreContext(text, start, end, mistake.context_before, mistake.context_after),
+      distance: getPositionDistance(text, start, mistake.start_index)
+    };
+  });
+
+  let chosen = null;
+  if (candidates.length === 1) {
+    chosen = candidates[0];
+  } else {
+    // Context first: only the occurrences whose surroundings match about as well as the best one remain
+    const bestContext = Math.max(...candidates.map(candidate => candidate.context || 0));
+    const hasContext = candidates.some(candidate => candidate.context !== null);
+    const tied = candidates.filter(candidate => (candidate.context || 0) >= bestContext - ALIGNMENT_CONTEXT_MARGIN);
+    if (!hasContext || bestContext >= ALIGNMENT_MIN_CONTEXT) {
+      if (tied.length === 1) {
+        chosen = tied[0];
+      } else {
+        // Then the reported position, which has to point clearly closer to one of them
+        const byDistance = tied.filter(candidate => candidate.distance !== null).sort((a, b) => a.distance - b.distance);
+        if (byDistance.length === tied.length && byDistance[0].distance <= ALIGNMENT_MAX_DRIFT &&
+            byDistance[0].distance * 2 < byDistance[1].distance) {
+          chosen = byDistance[0];
+        }
+      }
+    }
+  }
+
+  if (!chosen) {
+    console.warn('Could not anchor mistake confidently, dropping it:', mistakeText);
+    return null;
+  }
+  return { start: chosen.start, end: chosen.end, text: text.substring(chosen.start, chosen.end) };
+}
+
+// Expose to global scope
+self.codePointToUtf16Index = codePointToUtf16Index;
+self.findNearestOccurrence = findNearestOccurrence;
+self.alignMistake = alignMistake;
@@ -3,362 +3,596 @@
  */
 
 // API interaction functions
-// Removed import statement - we'll use globals
-
-// Helper function to get API key with retries
-async function getApiKeyWithRetry(maxRetries = 3, retryDelay = 1000) {
-  let apiKey = '';
-  let attempts = 0;
-  
-  while (attempts < maxRetries) {
-    if (typeof window.GrammarSniperConfig !== 'undefined' && typeof window.GrammarSniperConfig.getApiKey === 'function') {
-      apiKey = window.GrammarSniperConfig.getApiKey();
-      if (apiKey) {
-        return apiKey;
-      }
-    }
-    
-    // If we have a global API key variable, use that
-    if (typeof GEMINI_API_KEY !== 'undefined' && GEMINI_API_KEY) {
-      return GEMINI_API_KEY;
-    }
-    
-    // Wait before retrying
-    if (attempts < maxRetries - 1) {
-      await new Promise(resolve => setTimeout(resolve, retryDelay));
-    }
-    attempts++;
-  }
-  
-  return '';
+// Runs in the background service worker only (see background.js), content scripts go through apiClient.js
+
+// Record a call's tokens (see usage.js), estimated from the text when the provider reported none
+// ticket.site is the host name of the page the call was made for
+function recordPromptUsage(credentials, model, prompt, response, usage, ticket) {
+  const { instructions, input } = getPromptParts(prompt);
+  const reported = !!usage && Number.isFinite(usage.promptTokens) && Number.isFinite(usage.responseTokens);
+  const responseText = typeof response === 'string' ? response : JSON.stringify(response);
+  recordUsage({
+    providerId: credentials.providerId,
+    model,
+    site: ticket && ticket.site,
+    promptTokens: reported ? usage.promptTokens : estimateTokens(instructions + input),
+    responseTokens: reported ? usage.responseTokens : estimateTokens(responseText),
+    estimated: !reported
+  });
 }
 
-// Call Gemini API to get grammar suggestions
-async function getGrammarSuggestions(text) {
-  try {
-    console.log('Getting grammar suggestions for text:', text);
-
-    // Get API key with retries
-    const apiKey = await getApiKeyWithRetry();
-
-    if (!apiKey) {
-      // Return friendly message instead of throwing an error
-      console.warn('API key not set. Please set your Google API key in the extension popup.');
-      return ['No API key set. Please set your API key in the extension settings.'];
-    }
+// Send a prompt to the active provider and return the generated text
+// With a response schema (see schemas.js) the provider's structured output mode is used
+// The request waits its turn in the scheduler, ticket.priority is a REQUEST_PRIORITY value
+// credentials.model picks the model, otherwise the provider's main model is used
+// The mock provider replays a recorded response instead, and costs no tokens (see mockProvider.js)
+async function sendPrompt(prompt, credentials, timeoutMs, responseSchema = null, ticket = undefined) {
+  const provider = getProvider(credentials.providerId);
+  if (provider.mock) {
+    return scheduleRequest(credentials.providerId, () => {
+      return answerMockPrompt(prompt, responseSchema, credentials.settings, getRequestSignal(ticket, timeoutMs));
+    }, ticket);
+  }
 
-    const prompt = `Review and correct any grammar, spelling, or style issues in the following text. Then provide 3 alternative ways to express the same content more clearly and professionally.
-
-Original text: "${text}"
-
-Format your response EXACTLY as follows - a numbered list of 4 items without quotes, markdown, or any explanations:
-1. [grammatically corrected version]
-2. [professional alternative 1]
-3. [clear alternative 2]
-4. [impactful alternative 3]
-
-IMPORTANT:
-- Do NOT include quotes, explanations, or labels in your response
-- Do NOT include trailing periods like "They proceeded down the street."
-- Do NOT include any formatting or markdown
-- Just provide the plain text alternatives
-- Each suggestion should be grammatically complete
-- Never explain what you changed or why`;
-
-    const payload = {
-      contents: [
-        {
-          parts: [
-            { text: prompt }
-          ]
-        }
-      ]
-    };
+  const model = credentials.model || getTaskModel(credentials.providerId, credentials.settings);
+  const request = provider.buildRequest(prompt, credentials.apiKey, model, credentials.settings, responseSchema);
 
-    // Get API URL from config or construct it
-    let apiUrl = '';
-    if (typeof window.GrammarSniperConfig !== 'undefined' && typeof window.GrammarSniperConfig.getApiUrl === 'function') {
-      apiUrl = window.GrammarSniperConfig.getApiUrl();
-    } else {
-      apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash-latest:generateContent?key=${apiKey}`;
-    }
+  return scheduleRequest(credentials.providerId, async () => {
+    console.log(`Sending API request to ${provider.name}`);
 
-    console.log('Sending API request');
-    
-    const response = await fetch(apiUrl, {
+    // The timeout starts when the request is sent, not while it waits in the queue
+    const response = await fetch(request.url, {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(payload),
-      signal: AbortSignal.timeout(30000) // 30 second timeout
+      headers: request.headers,
+      body: JSON.stringify(request.body),
+      signal: getRequestSignal(ticket, timeoutMs)
     });
 
     console.log('Received API response with status:', response.status);
 
     if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`HTTP error! status: ${response.status}, message: ${errorText}`);
+      throw await createHttpError(response);
     }
 
     const data = await response.json();
-    console.log('Parsed API response data:', data);
-
-    if (!data.candidates || data.candidates.length === 0) {
-      throw new Error('No candidates returned from API');
-    }
-
-    let suggestionsText = data.candidates[0].content.parts[0].text;
-    console.log('Raw suggestions text:', suggestionsText);
-
-    // Parse numbered list from response and clean up the suggestions
-    const suggestionLines = suggestionsText.split('\n')
-      .filter(line => line.match(/^\d+\.\s/))
-      .map(line => {
-        // Remove the number and initial space
-        line = line.replace(/^\d+\.\s/, '');
-        // Remove any markdown formatting
-        line = line.replace(/\*\*/g, '');
-        // Remove any labels like "Grammatically corrected version:" or similar
-        line = line.replace(/^(?:Grammatically corrected version:|Alternative version \d+:|[^:]+:)\s*/i, '');
-        // Remove explanatory text in parentheses
-        line = line.replace(/\s*\([^)]+\)/g, '');
-        // Remove square brackets
-        line = line.replace(/[\[\]]/g, '');
-        // Remove any text after periods followed by explanatory text
-        line = line.replace(/\.\s+(?:[A-Z][^.]*|This[^.]*|Here[^.]*|The[^.]*)$/i, '.');
-        // Remove any quotes around the text
-        line = line.replace(/^["']|["']$/g, '');
-        // Clean up any remaining whitespace and ensure proper punctuation
-        line = line.trim().replace(/\s+/g, ' ');
-        // Ensure the line ends with proper punctuation
-        if (!/[.!?]$/.test(line)) {
-          line = line + '.';
-        }
-        return line;
-      })
-      // Filter out any empty lines or lines that are too short
-      .filter(line => line.length > 0);
-
-    console.log('Parsed and cleaned suggestion lines:', suggestionLines);
-
-    return suggestionLines;
-  } catch (error) {
-    console.error('Error getting grammar suggestions:', error);
-    throw error;
-  }
+    const result = provider.parseResponse(data);
+    // The reply holds the user's text, only its size is logged
+    console.log(`Parsed API response, ${(typeof result === 'string' ? result : JSON.stringify(result)).length} characters`);
+    recordPromptUsage(credentials, model, prompt, result, provider.parseUsage(data), ticket);
+    recordMockResponse(prompt, responseSchema, result);
+    return result;
+  }, ticket);
 }
 
-// Analyze text sentiment using Gemini API
-async function analyzeSentiment(text) {
-  try {
-    // Get API key with retries
-    const apiKey = await getApiKeyWithRetry();
-
-    if (!apiKey) {
-      // Return default sentiment instead of throwing an error
-      console.warn('API key not set. Using default sentiment.');
-      return {
-        sentiment: 'Neutral',
-        emoji: '😐'
-      };
-    }
+// Send a prompt that must be answered with JSON matching the schema and return the parsed object
+async function sendStructuredPrompt(prompt, credentials, timeoutMs, responseSchema, ticket = undefined) {
+  const response = await sendPrompt(prompt, credentials, timeoutMs, responseSchema, ticket);
+  return parseJsonResponse(response);
+}
 
-    const prompt = `Analyze the sentiment/tone of the following text and categorize it as exactly one of these options: Confident, Friendly, Formal, Casual, Optimistic, Neutral, Tentative, Concerned, Joyful, or Forceful. Also provide a matching emoji.
+// Stream a prompt from the active provider over server-sent events
+// onText(delta, fullText) is called for every piece of text as it arrives
+// The stream holds its scheduler slot until it ends
+async function streamPrompt(prompt, credentials, timeoutMs, onText, responseSchema = null, ticket = undefined) {
+  const provider = getProvider(credentials.providerId);
+  const model = credentials.model || getTaskModel(credentials.providerId, credentials.settings);
+  const request = provider.buildStreamRequest(prompt, credentials.apiKey, model, credentials.settings, responseSchema);
 
-Text: "${text}"
+  return scheduleRequest(credentials.providerId, async () => {
+    console.log(`Sending streaming API request to ${provider.name}`);
 
-Format your response exactly like this example:
-Sentiment: Confident
-Emoji: 💪
+    const response = await fetch(request.url, {
+      method: 'POST',
+      headers: request.headers,
+      body: JSON.stringify(request.body),
+      signal: getRequestSignal(ticket, timeoutMs)
+    });
 
-Only return those two lines, nothing else.`;
+    if (!response.ok) {
+      throw await createHttpError(response);
+    }
 
-    const payload = {
-      contents: [
-        {
-          parts: [
-            { text: prompt }
-          ]
-        }
-      ]
-    };
+    // A stream cut off part way was still paid for up to there
+    let streamedText = '';
+    let usage = null;
+    try {
+      const text = await readEventStream(response, provider, (delta, fullText) => {
+        streamedText = fullText;
+        onText(delta, fullText);
+      }, streamUsage => {
+        usage = { ...usage, ...streamUsage };
+      });
+      // Only a complete stream is worth replaying
+      recordMockResponse(prompt, responseSchema, text);
+      return text;
+    } finally {
+      recordPromptUsage(credentials, model, prompt, streamedText, usage, ticket);
+    }
+  }, ticket);
+}
 
-    // Get API URL from config or construct it
-    let apiUrl = '';
-    if (typeof window.GrammarSniperConfig !== 'undefined' && typeof window.GrammarSniperConfig.getApiUrl === 'function') {
-      apiUrl = window.GrammarSniperConfig.getApiUrl();
-    } else {
-      apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash-latest:generateContent?key=${apiKey}`;
+// Read a server-sent events body, passing each text delta to onText(delta, fullText)
+// onUsage(usage) receives the token counts the events report, a provider may split them over several events
+async function readEventStream(response, provider, onText, onUsage = null) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let fullText = '';
+
+  // An SSE event is a block of "field: value" lines, only the data lines matter here
+  const handleEvent = eventText => {
+    const data = eventText.split(/\r?\n/)
+      .filter(line => line.startsWith('data:'))
+      .map(line => line.substring(5).trim())
+      .join('\n');
+    if (!data || data === '[DONE]') {
+      return;
     }
 
-    const response = await fetch(apiUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(payload),
-      signal: AbortSignal.timeout(15000) // 15 second timeout
-    });
+    let chunk;
+    try {
+      chunk = JSON.parse(data);
+    } catch (error) {
+      console.warn(`Skipping malformed stream event, ${data.length} characters`);
+      return;
+    }
 
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
+    const usage = onUsage && provider.parseStreamUsage ? provider.parseStreamUsage(chunk) : null;
+    if (usage) {
+      onUsage(usage);
     }
 
-    const data = await response.json();
-    if (!data.candidates || data.candidates.length === 0) {
-      throw new Error('No sentiment analysis returned');
+    const delta = provider.parseStreamChunk(chunk);
+    if (delta) {
+      fullText += delta;
+      onText(delta, fullText);
     }
+  };
 
-    const result = data.candidates[0].content.parts[0].text;
-    const sentimentMatch = result.match(/Sentiment: (.*)/);
-    const emojiMatch = result.match(/Emoji: (.*)/);
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+    buffer += decoder.decode(value, { stream: true });
+    const events = buffer.split(/\r?\n\r?\n/);
+    buffer = events.pop();
+    events.forEach(handleEvent);
+  }
 
-    return {
-      sentiment: sentimentMatch ? sentimentMatch[1].trim() : 'Neutral',
-      emoji: emojiMatch ? emojiMatch[1].trim() : '😐'
-    };
-  } catch (error) {
-    console.error('Error analyzing sentiment:', error);
-    return {
-      sentiment: 'Neutral',
-      emoji: '😐'
-    };
+  buffer += decoder.decode();
+  if (buffer.trim()) {
+    handleEvent(buffer);
   }
+
+  return fullText;
 }
 
-// Check grammar and return mistakes in the requested format
-async function checkGrammarWithDetails(text) {
-  try {
-    console.log('Checking grammar with detailed response for text:', text);
+// Combined analyses by model and text, so the underline checks, the suggestions popup and the tone badge
+// share one request for the same text, including while that request is still in flight
+// When a faster model is picked for underline checks, they get their own analysis
+const textAnalysisCache = new Map();
+const TEXT_ANALYSIS_CACHE_MS = 5 * 60 * 1000;
+const TEXT_ANALYSIS_CACHE_SIZE = 50;
+
+// What an analysis entry asks for, by prompt template (see prompts.js): the combined analysis, or only the
+// corrected text and mistakes of one chunk of a long text (see checkGrammarWithDetails)
+const ANALYSIS_REQUESTS = {
+  textAnalysis: { schema: TEXT_ANALYSIS_SCHEMA, validate: validateTextAnalysis, streamed: true },
+  chunkCheck: { schema: CHUNK_CHECK_SCHEMA, validate: validateChunkCheck, streamed: false }
+};
+
+// The corrected text and up to 5 alternatives (see alternativeCount in prompts.js)
+const MAX_STREAMED_SUGGESTIONS = 1 + PROMPT_VARIABLES.alternativeCount.max;
+
+const DEFAULT_SENTIMENT = {
+  sentiment: 'Neutral',
+  emoji: '😐'
+};
+
+// Prompt templates and their variables can be edited on the options page (see prompts.js), and the
+// provider settings (a custom endpoint's URL, the fallback list...) in the popup: cached analyses were
+// made with the old ones, and the checks re-run right after a change must not get them back
+chrome.storage.onChanged.addListener(function(changes) {
+  const analysisKeys = [PROMPT_TEMPLATES_KEY, PROMPT_VARIABLES_KEY, ...getProviderStorageKeys(), 'activeModel'];
+  if (Object.keys(changes).some(key => analysisKeys.includes(key))) {
+    textAnalysisCache.clear();
+  }
+});
 
-    // Get API key with retries
-    const apiKey = await getApiKeyWithRetry();
+// Forget every saved result, for the popup's clear button
+async function clearAnalysisCaches() {
+  textAnalysisCache.clear();
+  await clearResultCache();
+  console.log('Result cache cleared');
+}
 
-    if (!apiKey) {
-      console.warn('API key not set. Skipping detailed grammar check.');
-      return { words_with_mistakes: [] };
+// Request the combined analysis, streaming it when the provider supports that
+// onPartial(analysis) is called with the slices that are complete so far
+// kind is a key of ANALYSIS_REQUESTS, a chunk check is never streamed since nobody shows it in part
+async function requestTextAnalysis(text, credentials, onPartial, ticket, kind = 'textAnalysis') {
+  const prompt = await buildPrompt(kind, { text });
+  const provider = getProvider(credentials.providerId);
+  const { schema, validate, streamed } = ANALYSIS_REQUESTS[kind];
+
+  if (streamed && typeof provider.buildStreamRequest === 'function') {
+    let partial = null;
+    try {
+      const response = await streamPrompt(prompt, credentials, 30000, (delta, fullText) => { // 30 second timeout
+        partial = validateTextAnalysis(parsePartialJson(fullText), text, true);
+        onPartial(partial);
+      }, TEXT_ANALYSIS_SCHEMA, ticket);
+      return validateTextAnalysis(parseJsonResponse(response), text);
+    } catch (error) {
+      // A reply that ignored the task is not shown even in part, and a cancelled one is not needed
+      if (error.name === 'ReplyFormatError' || error.name === 'AbortError') {
+        throw error;
+      }
+      // Keep what already arrived, otherwise retry without streaming
+      if (partial && partial.suggestions.length > 0) {
+        console.warn('Text analysis stream ended early:', error);
+        return {
+          ...partial,
+          sentiment: partial.sentiment || DEFAULT_SENTIMENT,
+          incomplete: true
+        };
+      }
+      // A provider that timed out is not asked again, the next one in the fallback chain is
+      if (error.name === 'TimeoutError') {
+        throw error;
+      }
+      console.warn('Streaming failed, falling back to a regular request:', error);
     }
+  }
 
-    const prompt = `Act as a professional grammar checker. Analyze the following text for grammar, spelling, style, and word choice errors. Pay special attention to character positions.
+  const result = await sendStructuredPrompt(prompt, credentials, 30000, schema, ticket); // 30 second timeout
+  return validate(result, text);
+}
 
-Text to analyze: "${text}"
+// Analysis from the offline rules, the last entry a fallback chain can have
+function analyzeTextWithRules(text) {
+  const ruleErrors = checkWithRules(text);
+  const corrected = ruleErrors.length > 0 ? applyRuleCorrections(text, ruleErrors) : null;
+  return {
+    suggestions: corrected ? [corrected] : [],
+    corrected,
+    sentiment: DEFAULT_SENTIMENT,
+    words_with_mistakes: ruleErrors.map(error => ({
+      text: error.error,
+      suggestion: error.suggestion,
+      mistake_type: error.type,
+      start_index: error.startPos,
+      end_index: error.endPos
+    }))
+  };
+}
 
-Format your response using this exact JSON structure, with no additional text:
-{
-  "words_with_mistakes": [
-    {
-      "text": "incorrect text",
-      "suggestion": "corrected text",
-      "mistake_type": "grammar|spelling|style|word choice",
-      "start_index": 0,
-      "end_index": 0
-    }
-  ]
+// Analysis entry used when no provider is configured, never cached since a key may be added at any time
+function createMissingAnalysisEntry() {
+  console.warn('API key not set. Skipping text analysis.');
+  return {
+    partial: null,
+    listeners: new Set(),
+    sentiment: Promise.resolve(null),
+    promise: Promise.resolve(null)
+  };
 }
 
-IMPORTANT RULES for start_index and end_index:
-1. Count characters from 0, including spaces and punctuation
-2. start_index should be the exact position where the incorrect word/phrase begins
-3. end_index should be the position after the last character of the incorrect word/phrase
-4. Double-check that text[start_index:end_index] exactly matches the incorrect text
-5. Verify indices by ensuring end_index - start_index equals the length of the incorrect text
-
-Example: For "They was walking", if "was" is incorrect:
-- start_index would be 5 (position of 'w' in "was")
-- end_index would be 8 (position after 's' in "was")
-
-Return an empty words_with_mistakes array if no issues are found.
-Give 3-5 errors maximum to avoid overwhelming the user.`;
-
-    // Get API URL from config or use hardcoded pattern with the key
-    let apiUrl = '';
-    if (typeof window.GrammarSniperConfig !== 'undefined' && typeof window.GrammarSniperConfig.getApiUrl === 'function') {
-      apiUrl = window.GrammarSniperConfig.getApiUrl();
-    } else {
-      apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash-latest:generateContent?key=${apiKey}`;
+// Key parts of an analysis in the persistent cache (see resultCache.js)
+// The template itself is part of the key rather than its version number, which restarts when the history is removed
+async function getStoredAnalysisKey(text, active, model, kind) {
+  const [prompt, variables] = await Promise.all([getPromptTemplate(kind), getPromptVariables()]);
+  return {
+    type: kind,
+    text,
+    provider: active.providerId,
+    model,
+    prompt: prompt.template,
+    variables,
+    settings: active.settings
+  };
+}
+
+// Get the shared analysis entry for the text, starting the request if there is none
+// A saved analysis of the same text with the same provider, model and prompt is used instead of a request
+// task is 'check' for underline checks or 'rewrite' for the suggestions and the tone (see MODEL_TASKS)
+// A request still waiting in the scheduler is moved up when an interactive caller joins it
+// The providers of the fallback chain are tried in turn (see fallback.js), the analysis says which one answered
+// Callers that pass no signal keep the request alive, see waitForAnalysis for the others
+// site is the host name of the page asking, its tokens are counted for it (see usage.js)
+// Background requests are refused with a BudgetExceededError once the daily budget is used up
+// kind is 'chunkCheck' for the chunks of a long text, which get their own entries (see ANALYSIS_REQUESTS)
+async function getTextAnalysisEntry(text, priority, task, cancellable = false, site = null, kind = 'textAnalysis') {
+  const chain = await loadProviderChain();
+  if (chain.providers.length === 0) {
+    return createMissingAnalysisEntry();
+  }
+
+  const active = chain.providers[0];
+  const model = getTaskModel(active.providerId, active.settings, task);
+  const cacheKey = `${kind}:${active.providerId}:${model}\n${text}`;
+  const cached = textAnalysisCache.get(cacheKey);
+  if (cached && Date.now() - cached.timestamp < TEXT_ANALYSIS_CACHE_MS) {
+    raiseRequestPriority(cached.ticket, priority);
+    cached.keepAlive = cached.keepAlive || !cancellable;
+    return cached;
+  }
+
+  const controller = new AbortController();
+  const entry = {
+    timestamp: Date.now(),
+    partial: null,
+    listeners: new Set(),
+    ticket: { priority, signal: controller.signal, site },
+    keepAlive: !cancellable,
+    waiting: 0,
+    settled: false
+  };
+
+  // Aborted once every caller that could cancel has cancelled and nobody else needs the result
+  entry.cancel = () => {
+    controller.abort();
+    if (textAnalysisCache.get(cacheKey) === entry) {
+      textAnalysisCache.delete(cacheKey);
+    }
+  };
+
+  // The tone is known before the rest of the reply, so it gets its own promise
+  let resolveSentiment;
+  entry.sentiment = new Promise(resolve => {
+    resolveSentiment = resolve;
+  });
+
+  const updatePartial = analysis => {
+    entry.partial = analysis;
+    if (analysis.sentiment) {
+      resolveSentiment(analysis.sentiment);
+    }
+    entry.listeners.forEach(listener => listener(analysis));
+  };
+
+  const attempt = credentials => requestTextAnalysis(text, {
+    ...credentials,
+    model: getTaskModel(credentials.providerId, credentials.settings, task)
+  }, updatePartial, entry.ticket, kind);
+
+  // Replayed responses cost nothing and are not saved, so every check goes through the mock's latency
+  // and failures, and nothing saved is used while recording, so every response reaches the recordings
+  const replayed = !!getProvider(active.providerId).mock;
+
+  // The lookup runs inside the entry, so callers arriving meanwhile share it instead of starting another
+  const request = async () => {
+    const storedKey = await getStoredAnalysisKey(text, active, model, kind);
+    const stored = (replayed || await isMockRecording()) ? null : await getCachedResult(storedKey);
+    if (stored) {
+      return stored;
     }
+    // Checked when the request starts, an interactive caller may have joined the entry by then
+    if (!replayed && entry.ticket.priority === REQUEST_PRIORITY.BACKGROUND && await isDailyBudgetReached()) {
+      throw createBudgetError();
+    }
+    const { result, provider } = await runWithFallback(chain, attempt, entry.ticket, () => analyzeTextWithRules(text));
+    const analysis = { ...result, provider };
+    // The offline rules cost nothing to run again, and a cut-off reply should be asked for again
+    // The key names the active provider, so an answer from a fallback would hide it for a week
+    if (!replayed && provider.id === active.providerId && !analysis.incomplete) {
+      setCachedResult(storedKey, analysis);
+    }
+    return analysis;
+  };
+
+  entry.promise = request()
+    .then(analysis => {
+      entry.settled = true;
+      updatePartial(analysis);
+      resolveSentiment(analysis.sentiment);
+      return analysis;
+    })
+    .catch(error => {
+      entry.settled = true;
+      if (textAnalysisCache.get(cacheKey) === entry) {
+        textAnalysisCache.delete(cacheKey);
+      }
+      resolveSentiment(null);
+      throw error;
+    });
 
-    const payload = {
-      contents: [
-        {
-          parts: [
-            { text: prompt }
-          ]
-        }
-      ]
+  textAnalysisCache.set(cacheKey, entry);
+  // Maps keep insertion order, so the first key is the oldest entry
+  if (textAnalysisCache.size > TEXT_ANALYSIS_CACHE_SIZE) {
+    textAnalysisCache.delete(textAnalysisCache.keys().next().value);
+  }
+
+  return entry;
+}
+
+// Wait for an entry's analysis until signal aborts, which rejects this caller only
+// The request itself is aborted when no other caller is left waiting for it
+function waitForAnalysis(entry, signal) {
+  if (!signal || !entry.cancel) {
+    return entry.promise;
+  }
+  if (signal.aborted) {
+    return Promise.reject(signal.reason);
+  }
+
+  entry.waiting++;
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      entry.waiting--;
+      if (entry.waiting === 0 && !entry.keepAlive && !entry.settled) {
+        console.log('Text changed, cancelling its analysis');
+        entry.cancel();
+      }
+      reject(signal.reason);
     };
+    signal.addEventListener('abort', onAbort, { once: true });
+    entry.promise.then(resolve, reject).finally(() => {
+      signal.removeEventListener('abort', onAbort);
+    });
+  });
+}
 
-    console.log('Sending API request to:', apiUrl);
+// Analyze text in a single request: {suggestions, sentiment, words_with_mistakes, provider}
+// provider ({id, name}) is the one that answered, which is a fallback when the active provider failed
+// suggestions is [corrected, ...alternatives], each UI module uses its own slice
+// onPartial(analysis) is optional and receives the slices that are complete while streaming
+// priority is a REQUEST_PRIORITY value, underline checks run in the background
+// task picks the model, see getTextAnalysisEntry
+// signal (an AbortSignal) is optional and gives up on the analysis, e.g. when the text was edited again
+// site is the host name of the page asking, see getTextAnalysisEntry
+async function analyzeText(text, onPartial = null, priority = REQUEST_PRIORITY.BACKGROUND, task = 'rewrite', signal = null, site = null) {
+  const entry = await getTextAnalysisEntry(text, priority, task, !!signal, site);
+  if (!onPartial) {
+    return waitForAnalysis(entry, signal);
+  }
 
-    const response = await fetch(apiUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(payload),
-      signal: AbortSignal.timeout(30000) // 30 second timeout
+  // Late callers first get what already arrived
+  if (entry.partial) {
+    onPartial(entry.partial);
+  }
+  entry.listeners.add(onPartial);
+  try {
+    return await waitForAnalysis(entry, signal);
+  } finally {
+    entry.listeners.delete(onPartial);
+  }
+}
+
+// Shown in place of suggestions when no provider is configured and the offline rules found nothing
+const MISSING_KEY_SUGGESTION = 'No API key set. Please set your API key in the extension settings.';
+
+// Suggestions to show when no provider is configured
+function getOfflineSuggestions(text) {
+  console.warn('API key not set. Please set your API key in the extension popup.');
+  // Fall back to the offline rules so the popup still offers a corrected version
+  if (typeof checkWithRules === 'function') {
+    const ruleErrors = checkWithRules(text);
+    if (ruleErrors.length > 0) {
+      return [applyRuleCorrections(text, ruleErrors)];
+    }
+  }
+  // Return friendly message instead of throwing an error
+  return [MISSING_KEY_SUGGESTION];
+}
+
+// Stream rewrite suggestions, calling onSuggestion(suggestion, index, type) as each one completes
+// type is 'correction' for the corrected text and 'alternative' for the other suggestions
+// Resolves with {suggestions, provider}, provider is null when no provider is configured
+async function streamGrammarSuggestions(text, onSuggestion, site = null) {
+  const suggestions = [];
+
+  // corrected is the line that is the corrected text, wherever it ends up in the list
+  const emitSuggestions = (lines, corrected) => {
+    lines.forEach(line => {
+      if (suggestions.length < MAX_STREAMED_SUGGESTIONS && !suggestions.includes(line)) {
+        suggestions.push(line);
+        onSuggestion(line, suggestions.length - 1, line === corrected ? 'correction' : 'alternative');
+      }
     });
+    return suggestions;
+  };
 
-    console.log('Received API response with status:', response.status);
+  const analysis = await analyzeText(text, partial => emitSuggestions(partial.suggestions, partial.corrected), REQUEST_PRIORITY.INTERACTIVE, 'rewrite', null, site);
+  if (!analysis) {
+    const offline = getOfflineSuggestions(text);
+    return { suggestions: emitSuggestions(offline, offline[0] !== MISSING_KEY_SUGGESTION ? offline[0] : null), provider: null };
+  }
+  return { suggestions: emitSuggestions(analysis.suggestions, analysis.corrected), provider: analysis.provider };
+}
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`HTTP error! status: ${response.status}, message: ${errorText}`);
+// Get grammar suggestions from the combined analysis
+async function getGrammarSuggestions(text, site = null) {
+  try {
+    console.log(`Getting grammar suggestions for ${text.length} characters of text`);
+
+    const analysis = await analyzeText(text, null, REQUEST_PRIORITY.INTERACTIVE, 'rewrite', null, site);
+    if (!analysis) {
+      return getOfflineSuggestions(text);
     }
 
-    const data = await response.json();
-    console.log('Parsed API response data:', data);
+    console.log(`Validated ${analysis.suggestions.length} suggestion lines`);
 
-    if (!data.candidates || data.candidates.length === 0) {
-      throw new Error('No candidates returned from API');
+    return analysis.suggestions;
+  } catch (error) {
+    console.error('Error getting grammar suggestions:', error);
+    throw error;
+  }
+}
+
+// Get the tone of the text from the combined analysis
+// Resolves as soon as the tone has streamed in, before the rest of the analysis
+async function analyzeSentiment(text, site = null) {
+  try {
+    const entry = await getTextAnalysisEntry(text, REQUEST_PRIORITY.INTERACTIVE, 'rewrite', false, site);
+    const sentiment = await entry.sentiment;
+    if (!sentiment) {
+      // Return default sentiment instead of throwing an error
+      console.warn('No sentiment available. Using default sentiment.');
+      return DEFAULT_SENTIMENT;
     }
+    return sentiment;
+  } catch (error) {
+    console.error('Error analyzing sentiment:', error);
+    return DEFAULT_SENTIMENT;
+  }
+}
 
-    // Parse the JSON response
-    const responseText = data.candidates[0].content.parts[0].text;
-    // Extract just the JSON part (in case there's any extra text)
-    const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-    
-    if (jsonMatch) {
-      const result = JSON.parse(jsonMatch[0]);
-      
-      // Ensure the result has the expected structure
-      if (!result.words_with_mistakes || !Array.isArray(result.words_with_mistakes)) {
-        console.error('Invalid response structure:', result);
-        return { words_with_mistakes: [] };
-      }
+// Corrected text and mistakes of one chunk of a long text, {suggestions, words_with_mistakes, provider}
+// The chunks share and save their results like the combined analyses, under their own prompt
+async function checkTextChunk(text, signal, site) {
+  const entry = await getTextAnalysisEntry(text, REQUEST_PRIORITY.BACKGROUND, 'check', !!signal, site, 'chunkCheck');
+  return waitForAnalysis(entry, signal);
+}
 
-      // Validate and fix indices if necessary
-      result.words_with_mistakes = result.words_with_mistakes.map(mistake => {
-        // Ensure indices are within bounds
-        mistake.start_index = Math.max(0, Math.min(mistake.start_index, text.length - 1));
-        mistake.end_index = Math.max(mistake.start_index + 1, Math.min(mistake.end_index, text.length));
-        
-        // Verify that the indices match the text
-        const extractedText = text.substring(mistake.start_index, mistake.end_index);
-        if (extractedText.trim() !== mistake.text.trim()) {
-          // Try to find the correct position
-          const position = text.indexOf(mistake.text);
-          if (position !== -1) {
-            mistake.start_index = position;
-            mistake.end_index = position + mistake.text.length;
-          }
-        }
-        
-        return mistake;
-      });
-      
-      return result;
-    } else {
-      throw new Error('Could not extract JSON from response');
+// Check grammar and return mistakes in the requested format
+// A text that fits in one chunk gets them from the combined analysis, shared with the suggestions popup
+// and the tone badge. Long texts are checked in chunks (see segmenter.js) that only ask for their mistakes,
+// which the scheduler runs side by side within the provider's limits, so every part of the text gets
+// mistakes and an edit only re-checks its chunk
+// signal (an AbortSignal) cancels the check, which then rejects with an AbortError
+// Rejects with a BudgetExceededError when the daily budget is used up and nothing was saved for the text
+async function checkGrammarWithDetails(text, signal = null, site = null) {
+  try {
+    console.log(`Checking grammar with detailed response for ${text.length} characters of text`);
+
+    const chunks = chunkText(text, CHECK_CHUNK_LENGTH);
+    // Underline checks can use a faster model than the rewrites (see MODEL_TASKS)
+    const checkChunk = chunk => chunks.length === 1
+      ? analyzeText(chunk.text, null, REQUEST_PRIORITY.BACKGROUND, 'check', signal, site)
+      : checkTextChunk(chunk.text, signal, site);
+    const results = await Promise.allSettled(chunks.map(checkChunk));
+
+    const failed = results.filter(result => result.status === 'rejected');
+    if (failed.length === results.length) {
+      throw failed[0].reason;
     }
+    failed.forEach(result => console.warn('Could not check part of the text:', result.reason));
+
+    const analyses = results.map(result => result.status === 'fulfilled' ? result.value : null);
+    if (analyses.every(analysis => analysis === null)) {
+      console.warn('API key not set. Skipping detailed grammar check.');
+      return { words_with_mistakes: [] };
+    }
+
+    // Each mistake was repaired against its chunk or dropped on its own
+    const mistakes = analyses.flatMap((analysis, index) => {
+      return analysis ? remapChunkMistakes(analysis.words_with_mistakes, chunks[index]) : [];
+    });
+    return { words_with_mistakes: mistakes };
   } catch (error) {
+    if (error.name === 'AbortError' || error.name === 'BudgetExceededError') {
+      throw error;
+    }
     console.error('Error checking grammar with details:', error);
     return { words_with_mistakes: [] };
   }
 }
 
 // Expose to global scope
-window.getGrammarSuggestions = getGrammarSuggestions;
-window.analyzeSentiment = analyzeSentiment;
-window.checkGrammarWithDetails = checkGrammarWithDetails; 
\ No newline at end of file
+self.analyzeText = analyzeText;
+self.getGrammarSuggestions = getGrammarSuggestions;
+self.streamGrammarSuggestions = streamGrammarSuggestions;
+self.analyzeSentiment = analyzeSentiment;
+self.clearAnalysisCaches = clearAnalysisCaches;
+self.checkGrammarWithDetails = checkGrammarWithDetails; 
\ No newline at end of file
@@ -0,0 +1,163 @@
+/**
+ * @copyright This code belongs to Solo Hunters Open Source Community
+ */
+
+// Content-side client for the API calls made by the background service worker (background.js)
+// Exposes the functions api.js provides there, so the UI modules call them the same way
+// and the API keys never reach the page
+
+const DEFAULT_SENTIMENT = {
+  sentiment: 'Neutral',
+  emoji: '😐'
+};
+
+// Numbers the calls of this page, so a call can be cancelled
+let apiCallSequence = 0;
+
+// Ask the background to abort a call whose result is no longer needed
+function cancelBackgroundCall(callId) {
+  try {
+    chrome.runtime.sendMessage({ type: 'CANCEL_API_CALL', callId }, function() {
+      // Nothing to do when the call already finished
+      void chrome.runtime.lastError;
+    });
+  } catch (error) {
+    // The extension was reloaded, the call is gone with it
+  }
+}
+
+// Run an api.js function in the background and resolve with its result
+function callBackground(method, ...args) {
+  return callCancellableBackground(method, args, null);
+}
+
+// Same as callBackground, but when signal aborts the call is cancelled in the background
+// and the promise rejects with the signal's AbortError right away
+function callCancellableBackground(method, args, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const callId = ++apiCallSequence;
+    const onAbort = () => {
+      cancelBackgroundCall(callId);
+      reject(signal.reason);
+    };
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    try {
+      chrome.runtime.sendMessage({ type: 'API_CALL', method, args, callId }, function(response) {
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+          return;
+        }
+        if (!response) {
+          reject(new Error(`No response from background for ${method}`));
+          return;
+        }
+        if (response.error) {
+          const error = new Error(response.error);
+          error.status = response.status;
+          if (response.name) {
+            error.name = response.name;
+          }
+          reject(error);
+          return;
+        }
+        resolve(response.result);
+      });
+    } catch (error) {
+      // Thrown when the extension was reloaded and this content script is orphaned
+      reject(error);
+    }
+  });
+}
+
+function getGrammarSuggestions(text) {
+  return callBackground('getGrammarSuggestions', text);
+}
+
+async function analyzeSentiment(text) {
+  try {
+    return await callBackground('analyzeSentiment', text);
+  } catch (error) {
+    console.error('Error analyzing sentiment:', error);
+    return DEFAULT_SENTIMENT;
+  }
+}
+
+// signal (an AbortSignal) cancels the check, which then rejects with an AbortError
+// Rejects with a BudgetExceededError while underline checks are paused by the daily budget
+async function checkGrammarWithDetails(text, signal = null) {
+  try {
+    return await callCancellableBackground('checkGrammarWithDetails', [text], signal);
+  } catch (error) {
+    if (error.name === 'AbortError' || error.name === 'BudgetExceededError') {
+      throw error;
+    }
+    console.error('Error checking grammar with details:', error);
+    return { words_with_mistakes: [] };
+  }
+}
+
+// The background checks against the LanguageTool server saved in the popup
+function checkWithLanguageTool(text, signal = null) {
+  return callCancellableBackground('checkWithLanguageTool', [text], signal);
+}
+
+// Stream rewrite suggestions over a port, calling onSuggestion(suggestion, index, type) as each one arrives
+// type is 'correction' for the corrected text and 'alternative' for the others
+// onProvider({id, name}) is told which provider answered, which may be a fallback
+// onBudgetReached() is called when the daily budget is used up and underline checks are paused
+function streamGrammarSuggestions(text, onSuggestion, onProvider = null, onBudgetReached = null) {
+  return new Promise((resolve, reject) => {
+    let port;
+    try {
+      port = chrome.runtime.connect({ name: 'suggestion-stream' });
+    } catch (error) {
+      reject(error);
+      return;
+    }
+
+    let finished = false;
+    port.onMessage.addListener(function(message) {
+      if (message.type === 'suggestion') {
+        onSuggestion(message.suggestion, message.index, message.suggestionType);
+      } else if (message.type === 'done' || message.type === 'error') {
+        finished = true;
+        port.disconnect();
+        if (message.type === 'done') {
+          if (onProvider && message.provider) {
+            onProvider(message.provider);
+          }
+          if (onBudgetReached && message.budgetReached) {
+            onBudgetReached();
+          }
+          resolve(message.suggestions);
+        } else {
+          reject(new Error(message.message));
+        }
+      }
+    });
+    port.onDisconnect.addListener(function() {
+      if (!finished) {
+        reject(new Error('Suggestion stream closed before it finished'));
+      }
+    });
+
+    port.postMessage({ text });
+  });
+}
+
+// Expose to global scope
+window.getGrammarSuggestions = getGrammarSuggestions;
+window.streamGrammarSuggestions = streamGrammarSuggestions;
+window.analyzeSentiment = analyzeSentiment;
+window.checkGrammarWithDetails = checkGrammarWithDetails;
+window.checkWithLanguageTool = checkWithLanguageTool;
@@ -5,8 +5,33 @@
 // API Configuration with Shadow DOM and Improved State Management
 
 const CONFIG_NAMESPACE = 'grammar-sniper';
-let GEMINI_API_KEY = '';
-let GEMINI_API_URL = '';
+let ACTIVE_MODEL = DEFAULT_PROVIDER_ID;
+// Whether the active provider can send requests, as reported by the background service worker
+// The API keys themselves stay in background.js
+let PROVIDER_READY = false;
+// Which backend drives the underlines: 'llm' (active provider), 'languagetool' or 'rules' (offline)
+const GRAMMAR_SETTINGS = {
+  backend: 'llm',
+  languageToolUrl: '',
+  languageToolLanguage: 'auto',
+  // Also run the offline rules and merge their results with the other backends
+  mergeOfflineRules: false,
+  // Offline dictionary spell checking (see spellcheck.js)
+  spellCheckEnabled: true,
+  spellLanguage: 'en_US',
+  // Colour underlines by mistake type and name the type on hover (see applyGrammarHighlighting)
+  detailedCheckEnabled: false
+};
+// Storage keys of the grammar settings above
+const GRAMMAR_SETTINGS_STORAGE_KEYS = {
+  backend: 'grammarBackend',
+  languageToolUrl: 'languageToolUrl',
+  languageToolLanguage: 'languageToolLanguage',
+  mergeOfflineRules: 'mergeOfflineRules',
+  spellCheckEnabled: 'spellCheckEnabled',
+  spellLanguage: 'spellLanguage',
+  detailedCheckEnabled: 'detailedGrammarCheckEnabled'
+};
 
 // Create isolated container using Shadow DOM
 const createIsolatedContainer = () => {
@@ -32,128 +57,148 @@ const createIsolatedContainer = () => {
   return shadow;
 };
 
-function updateApiKey(newKey) {
-  try {
-    if (!newKey) {
-      throw new Error('Invalid API key provided');
-    }
-    GEMINI_API_KEY = newKey;
-    GEMINI_API_URL = `https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash-latest:generateContent?key=${GEMINI_API_KEY}`;
-    console.log(`[${CONFIG_NAMESPACE}] API configuration updated successfully`);
-    return true;
-  } catch (error) {
-    console.error(`[${CONFIG_NAMESPACE}] Error updating API key:`, error.message);
+// Switch the provider used for API calls
+function setActiveModel(providerId) {
+  if (!PROVIDERS[providerId]) {
+    console.warn(`[${CONFIG_NAMESPACE}] Unknown provider ${providerId}, keeping ${ACTIVE_MODEL}`);
     return false;
   }
+  ACTIVE_MODEL = providerId;
+  return true;
 }
 
-// Function to load the API key with improved error handling and retry logic
-function loadApiKey() {
-  return new Promise((resolve, reject) => {
-    let retryCount = 0;
-    const maxRetries = 3;
-    
-    function tryLoadApiKey() {
-      try {
-        // First check if chrome.runtime is available
-        if (!chrome || !chrome.runtime || !chrome.storage) {
-          console.warn(`[${CONFIG_NAMESPACE}] Chrome APIs not available`);
-          resolve(false);
-          return;
-        }
-        
-        // Check for extension context validity
-        if (chrome.runtime.id === undefined) {
-          console.warn(`[${CONFIG_NAMESPACE}] Extension context invalidated`);
+// Whether the active provider can send requests
+function isProviderReady() {
+  return PROVIDER_READY;
+}
+
+// Merge new grammar backend settings into the current ones
+function updateGrammarSettings(settings) {
+  if (!settings) {
+    return false;
+  }
+  Object.keys(GRAMMAR_SETTINGS).forEach(name => {
+    if (settings[name] !== undefined) {
+      GRAMMAR_SETTINGS[name] = settings[name];
+    }
+  });
+  console.log(`[${CONFIG_NAMESPACE}] Grammar backend set to ${GRAMMAR_SETTINGS.backend}`);
+  return true;
+}
+
+// Whether the configured underline backend can run checks
+// The offline rules need no configuration, and the LLM backend falls back to them without an API key
+function isGrammarBackendReady() {
+  if (GRAMMAR_SETTINGS.backend === 'languagetool') {
+    return !!GRAMMAR_SETTINGS.languageToolUrl;
+  }
+  return true;
+}
+
+// Load the grammar backend settings from storage
+function loadGrammarSettings() {
+  return new Promise(resolve => {
+    try {
+      if (!chrome || !chrome.storage || chrome.runtime.id === undefined) {
+        resolve(false);
+        return;
+      }
+
+      chrome.storage.sync.get(Object.values(GRAMMAR_SETTINGS_STORAGE_KEYS), function(result) {
+        if (chrome.runtime.lastError) {
+          console.error(`[${CONFIG_NAMESPACE}] Error loading grammar settings:`, chrome.runtime.lastError);
           resolve(false);
           return;
         }
-        
-        // Try to load the API key from storage with timeout
-        const timeoutId = setTimeout(() => {
-          console.warn(`[${CONFIG_NAMESPACE}] API key loading timed out`);
-          if (retryCount < maxRetries) {
-            retryCount++;
-            console.log(`[${CONFIG_NAMESPACE}] Retrying API key load (attempt ${retryCount}/${maxRetries})`);
-            tryLoadApiKey();
-          } else {
-            resolve(false);
-          }
-        }, 5000); // 5 second timeout
-        
-        chrome.storage.sync.get(['googleApiKey'], function(result) {
-          clearTimeout(timeoutId);
-          
-          if (chrome.runtime.lastError) {
-            console.error(`[${CONFIG_NAMESPACE}] Chrome runtime error:`, chrome.runtime.lastError);
-            if (retryCount < maxRetries) {
-              retryCount++;
-              console.log(`[${CONFIG_NAMESPACE}] Retrying API key load (attempt ${retryCount}/${maxRetries})`);
-              setTimeout(tryLoadApiKey, 1000); // Wait 1 second before retry
-              return;
-            }
-            resolve(false);
-            return;
-          }
-          
-          if (result && result.googleApiKey) {
-            try {
-              const success = updateApiKey(result.googleApiKey);
-              if (success) {
-                // Double check that the key was actually set
-                const currentKey = GEMINI_API_KEY;
-                if (currentKey && currentKey === result.googleApiKey) {
-                  console.log(`[${CONFIG_NAMESPACE}] API key loaded and verified`);
-                  resolve(true);
-                } else {
-                  console.warn(`[${CONFIG_NAMESPACE}] API key verification failed`);
-                  if (retryCount < maxRetries) {
-                    retryCount++;
-                    console.log(`[${CONFIG_NAMESPACE}] Retrying API key load (attempt ${retryCount}/${maxRetries})`);
-                    setTimeout(tryLoadApiKey, 1000);
-                    return;
-                  }
-                  resolve(false);
-                }
-              } else {
-                console.warn(`[${CONFIG_NAMESPACE}] Failed to update API key`);
-                if (retryCount < maxRetries) {
-                  retryCount++;
-                  console.log(`[${CONFIG_NAMESPACE}] Retrying API key load (attempt ${retryCount}/${maxRetries})`);
-                  setTimeout(tryLoadApiKey, 1000);
-                  return;
-                }
-                resolve(false);
-              }
-            } catch (updateError) {
-              console.error(`[${CONFIG_NAMESPACE}] Error updating API key:`, updateError);
-              if (retryCount < maxRetries) {
-                retryCount++;
-                console.log(`[${CONFIG_NAMESPACE}] Retrying API key load (attempt ${retryCount}/${maxRetries})`);
-                setTimeout(tryLoadApiKey, 1000);
-                return;
-              }
-              resolve(false);
-            }
-          } else {
-            console.warn(`[${CONFIG_NAMESPACE}] No API key found in storage`);
-            resolve(false);
+
+        const settings = {};
+        Object.entries(GRAMMAR_SETTINGS_STORAGE_KEYS).forEach(([name, storageKey]) => {
+          // Booleans such as mergeOfflineRules can be stored as false
+          if (result && result[storageKey] !== undefined && result[storageKey] !== '') {
+            settings[name] = result[storageKey];
           }
         });
-      } catch (error) {
-        console.error(`[${CONFIG_NAMESPACE}] Critical error loading API key:`, error);
-        if (retryCount < maxRetries) {
-          retryCount++;
-          console.log(`[${CONFIG_NAMESPACE}] Retrying API key load (attempt ${retryCount}/${maxRetries})`);
-          setTimeout(tryLoadApiKey, 1000);
+        resolve(updateGrammarSettings(settings));
+      });
+    } catch (error) {
+      console.error(`[${CONFIG_NAMESPACE}] Critical error loading grammar settings:`, error);
+      resolve(false);
+    }
+  });
+}
+
+// Apply a provider status ({activeModel, ready}) reported by the background service worker
+function applyProviderStatus(status) {
+  setActiveModel(status.activeModel);
+  PROVIDER_READY = !!status.ready;
+  if (!PROVIDER_READY) {
+    console.warn(`[${CONFIG_NAMESPACE}] No API key found in storage for ${ACTIVE_MODEL}`);
+  }
+  return PROVIDER_READY;
+}
+
+// Ask the background service worker which provider is active and whether it is configured
+function loadProviderStatus() {
+  return new Promise(resolve => {
+    try {
+      // Check for extension context validity
+      if (!chrome || !chrome.runtime || chrome.runtime.id === undefined) {
+        console.warn(`[${CONFIG_NAMESPACE}] Extension context invalidated`);
+        resolve(false);
+        return;
+      }
+
+      chrome.runtime.sendMessage({ type: 'GET_PROVIDER_STATUS' }, function(status) {
+        if (chrome.runtime.lastError || !status) {
+          console.error(`[${CONFIG_NAMESPACE}] Error loading provider status:`, chrome.runtime.lastError);
+          resolve(false);
           return;
         }
-        resolve(false);
+
+        resolve(applyProviderStatus(status));
+      });
+    } catch (error) {
+      console.error(`[${CONFIG_NAMESPACE}] Critical error loading provider status:`, error);
+      resolve(false);
+    }
+  });
+}
+
+// Older versions kept the active model and the detailed check toggle in each site's own localStorage
+// Only values that look like ours are removed, the site may use the same names
+function migrateLocalStorageSettings() {
+  return new Promise(resolve => {
+    try {
+      const activeModel = localStorage.getItem('activeModel');
+      if (activeModel && PROVIDERS[activeModel]) {
+        // Sync storage already has the active model
+        localStorage.removeItem('activeModel');
       }
+
+      const detailedCheckEnabled = localStorage.getItem('detailedGrammarCheckEnabled');
+      if (detailedCheckEnabled !== 'true' && detailedCheckEnabled !== 'false') {
+        resolve();
+        return;
+      }
+      localStorage.removeItem('detailedGrammarCheckEnabled');
+      if (detailedCheckEnabled === 'false') {
+        resolve();
+        return;
+      }
+
+      // Keep the detailed check on for users who turned it on, unless it was set in the popup since
+      chrome.storage.sync.get(['detailedGrammarCheckEnabled'], function(result) {
+        if (chrome.runtime.lastError || (result && result.detailedGrammarCheckEnabled !== undefined)) {
+          resolve();
+          return;
+        }
+        chrome.storage.sync.set({ detailedGrammarCheckEnabled: true }, () => resolve());
+      });
+    } catch (error) {
+      // Sandboxed pages throw on localStorage access
+      console.warn(`[${CONFIG_NAMESPACE}] Could not migrate localStorage settings:`, error);
+      resolve();
     }
-    
-    // Start the initial attempt
-    tryLoadApiKey();
   });
 }
 
@@ -162,10 +207,15 @@ const shadowRoot = createIsolatedContainer();
 
 // State management object with controlled access
 const ConfigState = {
-  getApiKey: () => GEMINI_API_KEY,
-  getApiUrl: () => GEMINI_API_URL,
-  updateApiKey,
-  loadApiKey
+  getActiveModel: () => ACTIVE_MODEL,
+  setActiveModel,
+  isProviderReady,
+  getGrammarSettings: () => ({ ...GRAMMAR_SETTINGS }),
+  updateGrammarSettings,
+  isGrammarBackendReady,
+  loadGrammarSettings,
+  applyProviderStatus,
+  loadProviderStatus
 };
 
 // Expose minimal interface to global scope
@@ -0,0 +1,110 @@
+/**
+ * @copyright This code belongs to Solo Hunters Open Source Community
+ */
+
+// Provider credentials for the background service worker
+// The API keys are read here and nowhere else, content scripts only learn whether a provider is ready
+
+// Last storage read (a promise, shared by the callers arriving while it runs), dropped whenever a key,
+// a provider setting or the active model changes
+let providerStatePromise = null;
+
+// Decrypted key (see keyStore.js) and settings of one provider
+async function readProviderCredentials(providerId, storageResult) {
+  const apiKey = await getStoredApiKey(providerId);
+  const settings = getProviderSettingsFromStorage(providerId, storageResult);
+  return {
+    providerId,
+    apiKey,
+    settings,
+    ready: isProviderConfigured(providerId, apiKey, settings)
+  };
+}
+
+// Read the active provider and the fallback list from storage
+// chain holds the configured providers in the order they are tried, starting with the active one when it is configured
+async function readProviderState() {
+  try {
+    const result = await chrome.storage.sync.get([...getProviderStorageKeys(), 'activeModel']);
+    const providerId = result && PROVIDERS[result.activeModel] ? result.activeModel : DEFAULT_PROVIDER_ID;
+    const fallbacks = Array.isArray(result[FALLBACK_PROVIDERS_KEY]) ? result[FALLBACK_PROVIDERS_KEY] : [];
+    const chainIds = [...new Set([providerId, ...fallbacks])].filter(id => PROVIDERS[id]);
+
+    const chain = [];
+    for (const id of chainIds) {
+      const credentials = await readProviderCredentials(id, result);
+      if (credentials.ready) {
+        chain.push(credentials);
+      }
+    }
+
+    return {
+      providerId,
+      chain,
+      offlineRules: fallbacks.includes(OFFLINE_RULES_FALLBACK.id)
+    };
+  } catch (error) {
+    console.error('Error loading provider credentials:', error);
+    return null;
+  }
+}
+
+function getProviderState() {
+  if (!providerStatePromise) {
+    const reading = readProviderState();
+    providerStatePromise = reading;
+    // A failed read is not kept, the next call tries again
+    reading.then(state => {
+      if (!state && providerStatePromise === reading) {
+        providerStatePromise = null;
+      }
+    });
+  }
+  return providerStatePromise;
+}
+
+// Providers to try in order ({providerId, apiKey, settings} each) and whether the offline rules come last
+// providers is empty when neither the active provider nor a fallback is configured
+async function loadProviderChain() {
+  const state = await getProviderState();
+  if (!state) {
+    return { providers: [], offlineRules: false };
+  }
+  return {
+    providers: state.chain.map(({ providerId, apiKey, settings }) => ({ providerId, apiKey, settings })),
+    offlineRules: state.offlineRules
+  };
+}
+
+// What content scripts may know about the active provider
+// ready is true when the active provider or one of its fallbacks can send requests
+// Served from the cached state, so tabs asking on load or after a change do not decrypt every key again
+async function getProviderStatus() {
+  const state = await getProviderState();
+  return {
+    activeModel: state ? state.providerId : DEFAULT_PROVIDER_ID,
+    ready: !!(state && state.chain.length > 0)
+  };
+}
+
+// Needed when the key store is locked or unlocked, which changes no storage
+function resetProviderState() {
+  providerStatePromise = null;
+}
+
+// The key store can be in sync or local storage
+// Registered before background.js's listener, so the status it announces for a change is read afresh
+chrome.storage.onChanged.addListener(function(changes, areaName) {
+  if (areaName !== 'sync' && areaName !== 'local') {
+    return;
+  }
+  const providerKeys = [...getProviderStorageKeys(), 'activeModel'];
+  if (Object.keys(changes).some(key => providerKeys.includes(key))) {
+    resetProviderState();
+  }
+});
+
+// Expose to global scope
+self.loadProviderChain = loadProviderChain;
+self.getProviderStatus = getProviderStatus;
+self.resetProviderState = resetProviderState;
@@ -0,0 +1,187 @@
+/**
+ * @copyright This code belongs to Solo Hunters Open Source Community
+ */
+
+// Document model for incremental checks
+// Each checked field remembers the text of its last check and the errors found in it. A new
+// version is compared with that one: errors before and after the edit keep their underline,
+// shifted by the change in length, and only the sentences the edit touched are checked again.
+// Every check of a new text gets the field's next version number; starting one aborts the request
+// still running for the version before it, and results of an older version are never drawn.
+
+// Past this share of the text, the whole text is checked again
+const FULL_CHECK_RATIO = 0.6;
+// Neighbouring sentences are added until the re-checked part is this long, short parts lack context
+const MIN_RECHECK_LENGTH = 40;
+
+// Last checked version per field: {text, errors}
+const documentModels = new WeakMap();
+// Newest check per field: {version, text, controller, done}
+const documentVersions = new WeakMap();
+
+// Forget the last check, e.g. after a settings change, so the next one covers the whole text
+// A check still running was made with the old settings and is aborted
+function resetDocumentModel(element) {
+  documentModels.delete(element);
+  const current = documentVersions.get(element);
+  if (current && !current.done) {
+    current.controller.abort();
+    current.done = true;
+  }
+}
+
+// Errors of the field's last check when it covered exactly this text, otherwise null
+function getDocumentErrors(element, text) {
+  const model = documentModels.get(element);
+  return model && model.text === text ? model.errors : null;
+}
+
+// The part that differs between two versions, from their common beginning and end
+function diffTexts(oldText, newText) {
+  const shorter = Math.min(oldText.length, newText.length);
+  let prefix = 0;
+  while (prefix < shorter && oldText[prefix] === newText[prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (suffix < shorter - prefix &&
+      oldText[oldText.length - 1 - suffix] === newText[newText.length - 1 - suffix]) {
+    suffix++;
+  }
+  return { start: prefix, oldEnd: oldText.length - suffix, newEnd: newText.length - suffix };
+}
+
+// Widen a changed range of the text to the sentences it touches (see segmenter.js)
+function expandToSentences(text, start, end) {
+  const sentences = splitSentences(text);
+  if (sentences.length === 0) {
+    return { start: 0, end: text.length };
+  }
+  // An edit right at a sentence boundary touches the sentences on both sides
+  let first = sentences.findIndex(sentence => sentence.end >= start);
+  let last = sentences.length - 1;
+  while (last > 0 && sentences[last].start > end) {
+    last--;
+  }
+  first = first === -1 ? sentences.length - 1 : Math.min(first, last);
+
+  while (text.substring(sentences[first].start, sentences[last].end).trim().length < MIN_RECHECK_LENGTH &&
+      (first > 0 || last < sentences.length - 1)) {
+    first = Math.max(0, first - 1);
+    last = Math.min(sentences.length - 1, last + 1);
+  }
+  return { start: sentences[first].start, end: sentences[last].end };
+}
+
+function shiftError(error, offset) {
+  return { ...error, startPos: error.startPos + offset, endPos: error.endPos + offset };
+}
+
+// Carry errors found in oldText over to newText: errors before and after the sentences the edit
+// touched move with the text, errors in them are dropped
+// Returns {errors, range}, range is the part of newText that has to be checked again
+function rebaseErrors(errors, oldText, newText) {
+  if (oldText === newText) {
+    return { errors, range: null };
+  }
+  const change = diffTexts(oldText, newText);
+  const range = expandToSentences(newText, change.start, change.newEnd);
+  // The text after the change is the same in both versions, only shifted
+  const shift = newText.length - oldText.length;
+  const oldEnd = range.end - shift;
+  return {
+    errors: [
+      ...errors.filter(error => error.endPos <= range.start),
+      ...errors.filter(error => error.startPos >= oldEnd).map(error => shiftError(error, shift))
+    ],
+    range
+  };
+}
+
+// Start a check of a field's text under the next version number, aborting the request still
+// running for the previous version
+// Returns the stamp {version, text, signal} to pass to isCurrentDocumentVersion
+function beginDocumentVersion(element, text) {
+  const previous = documentVersions.get(element);
+  if (previous && !previous.done) {
+    console.log(`Text changed, cancelling the check of version ${previous.version}`);
+    previous.controller.abort();
+  }
+  const controller = new AbortController();
+  const stamp = {
+    version: previous ? previous.version + 1 : 1,
+    text,
+    controller,
+    signal: controller.signal,
+    done: false
+  };
+  documentVersions.set(element, stamp);
+  return stamp;
+}
+
+// Whether a check's result belongs to the newest version of the field, marks the check finished
+function isCurrentDocumentVersion(element, stamp) {
+  stamp.done = true;
+  return documentVersions.get(element) === stamp;
+}
+
+// Whether a check of exactly this text is still running, a second one would only replace it
+function isDocumentCheckRunning(element, text) {
+  const current = documentVersions.get(element);
+  return !!current && !current.done && current.text === text;
+}
+
+// Check a field's text, re-checking only the sentences that changed since its last check
+// checkText(text, signal) resolves with {startPos, endPos, ...} errors for the text it is given, and
+// onKept(errors) receives the errors kept from the last check before the new ones arrive
+// Resolves with the errors for the whole text, or null when a newer version of the text replaced it
+async function checkDocument(element, text, checkText, onKept = null) {
+  const model = documentModels.get(element);
+  if (model && model.text === text) {
+    return model.errors;
+  }
+  if (isDocumentCheckRunning(element, text)) {
+    return null;
+  }
+  const stamp = beginDocumentVersion(element, text);
+
+  let range = { start: 0, end: text.length };
+  let kept = [];
+  if (model) {
+    const rebased = rebaseErrors(model.errors, model.text, text);
+    if (rebased.range.end - rebased.range.start <= text.length * FULL_CHECK_RATIO) {
+      kept = rebased.errors;
+      range = rebased.range;
+      console.log(`Re-checking characters ${range.start} to ${range.end}, keeping ${kept.length} underlines`);
+    }
+  }
+
+  if (onKept) {
+    await onKept(kept);
+  }
+
+  let found;
+  try {
+    found = await checkText(text.substring(range.start, range.end), stamp.signal);
+  } catch (error) {
+    stamp.done = true;
+    if (error.name === 'AbortError') {
+      return null;
+    }
+    throw error;
+  }
+  if (!isCurrentDocumentVersion(element, stamp)) {
+    return null;
+  }
+
+  const errors = [...kept, ...found.map(error => shiftError(error, range.start))]
+    .sort((a, b) => a.startPos - b.startPos);
+  documentModels.set(element, { text, errors });
+  return errors;
+}
+
+// Expose to global scope
+window.checkDocument = checkDocument;
+window.resetDocumentModel = resetDocumentModel;
+window.rebaseErrors = rebaseErrors;
+window.getDocumentErrors = getDocumentErrors;
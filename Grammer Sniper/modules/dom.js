@@ -205,8 +205,8 @@ function replaceSentence(element, suggestion, sentenceInfo) {
   if (posInfo.text && textToReplace !== posInfo.text) {
     console.warn('Text mismatch. Expected:', posInfo.text, 'Found:', textToReplace);
     
-    // Try to find the exact text in the content
-    const exactIndex = currentFullText.indexOf(posInfo.text);
+    // Try to find the exact text in the content, the occurrence nearest to where it was
+    const exactIndex = findNearestOccurrence(currentFullText, posInfo.text, posInfo.startPos);
     if (exactIndex >= 0) {
       console.log('Found exact text at position:', exactIndex);
       // Update positions to match the found text
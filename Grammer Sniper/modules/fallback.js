@@ -0,0 +1,87 @@
+/**
+ * @copyright This code belongs to Solo Hunters Open Source Community
+ */
+
+// Provider fallback chain for the background service worker
+// A failed or timed-out call moves on to the next provider in the list set in the popup,
+// and providers that keep failing are skipped for a while
+
+// Consecutive failures before a provider is skipped, and for how long
+const FAILURES_BEFORE_COOLING_OFF = 3;
+const COOLING_OFF_MS = 5 * 60 * 1000;
+// With another provider to try, a rate limited one is retried once instead of waiting through every backoff
+const RETRIES_WITH_FALLBACK = 1;
+
+// Failure state per provider: {failures, coolingUntil}
+const providerHealth = {};
+
+function isProviderCoolingOff(providerId) {
+  const health = providerHealth[providerId];
+  return !!health && health.coolingUntil > Date.now();
+}
+
+function recordProviderSuccess(providerId) {
+  delete providerHealth[providerId];
+}
+
+function recordProviderFailure(providerId) {
+  const health = providerHealth[providerId] || { failures: 0, coolingUntil: 0 };
+  health.failures++;
+  if (health.failures >= FAILURES_BEFORE_COOLING_OFF) {
+    health.coolingUntil = Date.now() + COOLING_OFF_MS;
+    health.failures = 0;
+    console.warn(`${getProvider(providerId).name} keeps failing, skipping it for ${COOLING_OFF_MS / 60000} minutes`);
+  }
+  providerHealth[providerId] = health;
+}
+
+// Name and id of whoever answered, shown in the suggestions popup
+function describeAnswerProvider(providerId) {
+  return providerId === OFFLINE_RULES_FALLBACK.id
+    ? { ...OFFLINE_RULES_FALLBACK }
+    : { id: providerId, name: getProvider(providerId).name };
+}
+
+// Run attempt(credentials) on each provider of the chain (see loadProviderChain) until one succeeds
+// Resolves with {result, provider}, or with the offline rules' result when every provider failed
+// and the chain ends with them. ticket is the scheduler ticket shared by the attempts
+async function runWithFallback(chain, attempt, ticket, offlineAttempt = null) {
+  const available = chain.providers.filter(credentials => !isProviderCoolingOff(credentials.providerId));
+  // When every provider is cooling off and nothing comes after them, trying one still beats failing
+  const providers = available.length > 0 || (chain.offlineRules && offlineAttempt)
+    ? available
+    : chain.providers.slice(0, 1);
+
+  let lastError = null;
+  for (let i = 0; i < providers.length; i++) {
+    const credentials = providers[i];
+    const hasNext = i < providers.length - 1 || (chain.offlineRules && !!offlineAttempt);
+    ticket.maxRetries = hasNext ? RETRIES_WITH_FALLBACK : undefined;
+
+    try {
+      const result = await attempt(credentials);
+      recordProviderSuccess(credentials.providerId);
+      return { result, provider: describeAnswerProvider(credentials.providerId) };
+    } catch (error) {
+      // A cancelled request says nothing about the provider, and nobody waits for another one
+      if (error.name === 'AbortError') {
+        throw error;
+      }
+      lastError = error;
+      recordProviderFailure(credentials.providerId);
+      if (hasNext) {
+        console.warn(`${getProvider(credentials.providerId).name} failed, trying the next provider:`, error);
+      }
+    }
+  }
+
+  if (chain.offlineRules && offlineAttempt) {
+    return { result: offlineAttempt(), provider: describeAnswerProvider(OFFLINE_RULES_FALLBACK.id) };
+  }
+  throw lastError || new Error('No provider available');
+}
+
+// Expose to global scope
+self.runWithFallback = runWithFallback;
+self.isProviderCoolingOff = isProviderCoolingOff;
+self.describeAnswerProvider = describeAnswerProvider;
@@ -3,11 +3,19 @@
  */
 
 // Grammar checking functionality
+// Backend results are saved by the background across tabs and sessions (see resultCache.js),
+// the spelling and offline rules run locally and are cheap to run again
+// Each field has one checking pipeline and one result store (see documentModel.js), the detailed
+// highlights setting only changes how its underlines are drawn
 
-// A cache to store already checked text
-const grammarCheckCache = new Map();
-// A cache expiry time (30 minutes)
-const CACHE_EXPIRY_MS = 30 * 60 * 1000;
+// Underline colours by mistake type (see MISTAKE_TYPES in schemas.js), used for detailed highlights
+const MISTAKE_TYPE_COLORS = {
+  grammar: '#d93025',
+  spelling: '#e37400',
+  punctuation: '#1a73e8',
+  style: '#9334e6',
+  'word choice': '#188038'
+};
 
 // Improved helper functions for text node finding
 
@@ -99,69 +107,150 @@ function getTextNodePosition(element, textNode) {
   return currentLength;
 }
 
+// Current underline backend settings from config
+function getGrammarBackendSettings() {
+  if (typeof window.GrammarSniperConfig !== 'undefined' && typeof window.GrammarSniperConfig.getGrammarSettings === 'function') {
+    return window.GrammarSniperConfig.getGrammarSettings();
+  }
+  return { backend: 'llm' };
+}
+
+// Whether the underline backend is configured (server URL for LanguageTool, always for the LLM and offline rules)
+function isGrammarBackendAvailable() {
+  if (typeof window.GrammarSniperConfig !== 'undefined' && typeof window.GrammarSniperConfig.isGrammarBackendReady === 'function') {
+    return window.GrammarSniperConfig.isGrammarBackendReady();
+  }
+  return false;
+}
+
+// Whether the active AI provider has an API key (or base URL) to send requests with
+function isAiProviderAvailable() {
+  if (typeof window.GrammarSniperConfig !== 'undefined' && typeof window.GrammarSniperConfig.isProviderReady === 'function') {
+    return window.GrammarSniperConfig.isProviderReady();
+  }
+  return false;
+}
+
+// Which backend actually runs: the LLM backend falls back to the offline rules without an API key
+function getEffectiveGrammarBackend(grammarSettings) {
+  if (grammarSettings.backend === 'llm' && !isAiProviderAvailable()) {
+    return 'rules';
+  }
+  return grammarSettings.backend;
+}
+
+// Offline dictionary spelling errors, in the same format as the backend errors
+async function getSpellingErrors(text) {
+  const grammarSettings = getGrammarBackendSettings();
+  if (!grammarSettings.spellCheckEnabled || typeof loadSpellChecker !== 'function') {
+    return [];
+  }
+
+  try {
+    const spellChecker = await loadSpellChecker(grammarSettings.spellLanguage);
+    return checkSpelling(text, spellChecker);
+  } catch (error) {
+    console.error('Error checking spelling:', error);
+    return [];
+  }
+}
+
 // Function to check grammar and return errors
-async function checkGrammar(text) {
+// signal (an AbortSignal) cancels the backend request, which then rejects with an AbortError
+async function checkGrammar(text, signal = null) {
   // Handle null, undefined or empty text
   if (!text || text.trim().length < 10) {
     console.log('Text is too short for grammar check');
     return [];
   }
 
-  // Return from cache if available and not expired
-  const cachedResult = grammarCheckCache.get(text);
-  if (cachedResult && (Date.now() - cachedResult.timestamp < CACHE_EXPIRY_MS)) {
-    console.log('Using cached grammar check result');
-    return cachedResult.errors;
-  }
+  const grammarSettings = getGrammarBackendSettings();
+  const backend = getEffectiveGrammarBackend(grammarSettings);
+  const mergeRules = backend !== 'rules' && grammarSettings.mergeOfflineRules;
 
   try {
     console.log('Checking grammar for text:', text);
 
-    // Use the detailed grammar check instead of batch processing
-    const detailedResult = await checkGrammarWithDetails(text);
-    
-    // Validate the detailed result structure
-    if (!detailedResult || !detailedResult.words_with_mistakes || !Array.isArray(detailedResult.words_with_mistakes)) {
-      console.warn('Invalid grammar check result structure');
-      return [];
+    let errors;
+    if (backend === 'rules') {
+      // Offline rules run locally without an API key or network access
+      errors = checkWithRules(text);
+    } else if (backend === 'languagetool') {
+      // LanguageTool reports exact offsets, rule IDs and replacements
+      errors = await checkWithLanguageTool(text, signal);
+    } else {
+      errors = await checkGrammarWithLlm(text, signal);
+    }
+
+    // Dictionary spelling mistakes fill in words the backend did not flag
+    errors = mergeRuleErrors(errors, await getSpellingErrors(text));
+
+    if (mergeRules) {
+      errors = mergeRuleErrors(errors, checkWithRules(text));
     }
-    
-    // Convert the detailed format to the format expected by the existing UI
-    const errors = detailedResult.words_with_mistakes.map(mistake => {
-      // Validate each mistake object
-      if (!mistake || typeof mistake !== 'object' || 
-          typeof mistake.text !== 'string' || 
-          typeof mistake.suggestion !== 'string' ||
-          typeof mistake.start_index !== 'number' ||
-          typeof mistake.end_index !== 'number' ||
-          mistake.start_index < 0 || 
-          mistake.end_index <= mistake.start_index) {
-        console.warn('Invalid mistake object:', mistake);
-        return null;
-      }
-      
-      return {
-        error: mistake.text,
-        suggestion: mistake.suggestion,
-        type: mistake.mistake_type || 'grammar',
-        startPos: mistake.start_index,
-        endPos: mistake.end_index
-      };
-    }).filter(Boolean); // Remove any null entries
-    
-    // Cache the validated result with timestamp
-    grammarCheckCache.set(text, {
-      errors: errors,
-      timestamp: Date.now()
-    });
 
     return errors;
   } catch (error) {
+    // A cancelled check is not a failed one, the caller drops it
+    if (error.name === 'AbortError') {
+      throw error;
+    }
     console.error('Error checking grammar:', error);
     return []; // Return empty array on error
   }
 }
 
+// Whether this page already said that underline checks are paused by the daily budget
+let budgetPauseLogged = false;
+
+// Check grammar with the active AI provider and convert the result to error objects
+async function checkGrammarWithLlm(text, signal = null) {
+  // Use the detailed grammar check instead of batch processing
+  let detailedResult;
+  try {
+    detailedResult = await checkGrammarWithDetails(text, signal);
+  } catch (error) {
+    // Past the daily budget only the local spelling and rules underline, the logo still gives suggestions
+    if (error.name === 'BudgetExceededError') {
+      if (!budgetPauseLogged) {
+        console.warn(error.message);
+        budgetPauseLogged = true;
+      }
+      return [];
+    }
+    throw error;
+  }
+  
+  // Validate the detailed result structure
+  if (!detailedResult || !detailedResult.words_with_mistakes || !Array.isArray(detailedResult.words_with_mistakes)) {
+    console.warn('Invalid grammar check result structure');
+    return [];
+  }
+  
+  // Convert the detailed format to the format expected by the existing UI
+  return detailedResult.words_with_mistakes.map(mistake => {
+    // Validate each mistake object
+    if (!mistake || typeof mistake !== 'object' || 
+        typeof mistake.text !== 'string' || 
+        typeof mistake.suggestion !== 'string' ||
+        typeof mistake.start_index !== 'number' ||
+        typeof mistake.end_index !== 'number' ||
+        mistake.start_index < 0 || 
+        mistake.end_index <= mistake.start_index) {
+      console.warn('Invalid mistake object:', mistake);
+      return null;
+    }
+    
+    return {
+      error: mistake.text,
+      suggestion: mistake.suggestion,
+      type: mistake.mistake_type || 'grammar',
+      startPos: mistake.start_index,
+      endPos: mistake.end_index
+    };
+  }).filter(Boolean); // Remove any null entries
+}
+
 // Function to apply grammar highlighting to an element
 function applyGrammarHighlighting(element, errors) {
   if (!element || !errors || errors.length === 0) return;
@@ -228,6 +317,7 @@ function applyGrammarHighlighting(element, errors) {
   }
   
   console.log('Applying highlights for text:', text.substring(0, 50) + (text.length > 50 ? '...' : ''));
+  const detailed = !!getGrammarBackendSettings().detailedCheckEnabled;
   
   // Create highlights for each error
   errors.forEach(error => {
@@ -262,6 +352,10 @@ function applyGrammarHighlighting(element, errors) {
     highlight.dataset.startPos = error.startPos;
     highlight.dataset.endPos = error.endPos;
     highlight.dataset.type = error.type || 'grammar';
+    highlight.dataset.message = error.message || '';
+    if (Array.isArray(error.alternatives) && error.alternatives.length > 0) {
+      highlight.dataset.alternatives = JSON.stringify(error.alternatives);
+    }
     
     // Create a unique ID for this highlight
     highlight.id = 'highlight-' + Date.now() + '-' + Math.random().toString(36).substr(2, 5);
@@ -303,6 +397,14 @@ function applyGrammarHighlighting(element, errors) {
       console.error('Error positioning highlight:', e);
       return; // Skip this highlight if positioning fails
     }
+
+    // Detailed highlights tell the mistake types apart by colour and name them on hover
+    if (detailed) {
+      highlight.style.borderBottomColor = MISTAKE_TYPE_COLORS[highlight.dataset.type] || MISTAKE_TYPE_COLORS.grammar;
+      highlight.title = error.suggestion
+        ? `${highlight.dataset.type}: ${errorText} → ${error.suggestion}`
+        : highlight.dataset.type;
+    }
     
     // Add click handler to show suggestion popup
     highlight.addEventListener('click', (e) => {
@@ -590,6 +692,13 @@ function showGrammarSuggestionPopup(highlight, element) {
   const type = highlight.dataset.type || 'grammar';
   const startPos = parseInt(highlight.dataset.startPos) || 0;
   const endPos = parseInt(highlight.dataset.endPos) || 0;
+  const message = highlight.dataset.message || '';
+  let alternatives = [];
+  try {
+    alternatives = highlight.dataset.alternatives ? JSON.parse(highlight.dataset.alternatives) : [];
+  } catch (e) {
+    console.warn('Invalid alternatives on highlight:', e);
+  }
   
   // Use the original text from the highlight if available
   const originalText = highlight.dataset.originalText || error;
@@ -636,16 +745,53 @@ function showGrammarSuggestionPopup(highlight, element) {
         <button class="grammar-dismiss-btn" style="background: none; border: none; cursor: pointer; color: #5f6368; font-size: 16px;">×</button>
       </div>
       <div style="display: flex; align-items: center; gap: 8px; margin-bottom: 8px;">
-        <span style="color: #d93025; text-decoration: line-through;">${originalText}</span>
+        <span class="grammar-original" style="color: #d93025; text-decoration: line-through;"></span>
         <span style="color: #1e8e3e;">→</span>
-        <span style="color: #1e8e3e;">${suggestion}</span>
+        <span class="grammar-suggestion" style="color: #1e8e3e;"></span>
       </div>
+      <div class="grammar-message" style="display: none; color: #5f6368; font-size: 12px; margin-bottom: 8px;"></div>
+      <div class="grammar-alternatives" style="display: none; flex-wrap: wrap; gap: 6px; margin-bottom: 8px;"></div>
       <div style="display: flex; gap: 8px; margin-top: 8px;">
         <button class="grammar-apply-btn" style="background-color: #1a73e8; color: white; border: none; padding: 4px 12px; border-radius: 4px; cursor: pointer;">Apply</button>
         <button class="grammar-ignore-btn" style="background-color: transparent; border: 1px solid #dadce0; padding: 4px 12px; border-radius: 4px; cursor: pointer;">Ignore</button>
       </div>
     `;
     
+    // The page's text and the replacements (from the model or a LanguageTool server) are set as text, never as markup
+    popup.querySelector('.grammar-original').textContent = originalText;
+    popup.querySelector('.grammar-suggestion').textContent = suggestion;
+
+    // Rule explanation and extra replacements (LanguageTool reports several per match)
+    const messageEl = popup.querySelector('.grammar-message');
+    if (messageEl && message) {
+      messageEl.textContent = message;
+      messageEl.style.display = 'block';
+    }
+    const alternativesEl = popup.querySelector('.grammar-alternatives');
+    if (alternativesEl && alternatives.length > 0) {
+      alternatives.forEach(alternative => {
+        const alternativeBtn = document.createElement('button');
+        alternativeBtn.className = 'grammar-alternative-btn';
+        alternativeBtn.textContent = alternative;
+        alternativeBtn.style.background = '#e6f4ea';
+        alternativeBtn.style.color = '#1e8e3e';
+        alternativeBtn.style.border = 'none';
+        alternativeBtn.style.padding = '2px 8px';
+        alternativeBtn.style.borderRadius = '4px';
+        alternativeBtn.style.cursor = 'pointer';
+        alternativeBtn.addEventListener('click', () => {
+          applySuggestion(element, alternative, startPos, endPos);
+          popup.style.display = 'none';
+          if (highlight && highlight.parentElement) {
+            highlight.remove();
+          }
+          element.focus();
+        });
+        alternativesEl.appendChild(alternativeBtn);
+      });
+      alternativesEl.style.display = 'flex';
+    }
+    
     // Get popup dimensions after content is added
     const popupRect = popup.getBoundingClientRect();
     const popupWidth = popupRect.width;
@@ -950,6 +1096,18 @@ function clearGrammarHighlightsForRange(element, startPos, endPos) {
   });
 }
 
+// Draw a field's underlines again from its last check, e.g. after the detailed highlights setting changed
+// Nothing is sent, a field whose text changed since its check gets new underlines from the next one
+function redrawGrammarHighlights(element) {
+  if (!element || !element.isConnected) return;
+
+  const text = element.value || element.textContent || '';
+  const errors = getDocumentErrors(element, text);
+  if (errors && errors.length > 0) {
+    applyGrammarHighlighting(element, errors);
+  }
+}
+
 // Helper function to recheck grammar after applying a suggestion
 function checkAndReapplyGrammarHighlighting(element) {
   if (!element || !element.isConnected) return;
@@ -959,8 +1117,11 @@ function checkAndReapplyGrammarHighlighting(element) {
   // Only proceed if there's enough text
   if (text.trim().length < 10) return;
   
-  // Re-check grammar and update highlights
-  checkGrammar(text).then(errors => {
+  // Re-check the edited sentence and update highlights
+  checkDocument(element, text, checkGrammar).then(errors => {
+    if (!errors) {
+      return;
+    }
     if (errors.length > 0) {
       applyGrammarHighlighting(element, errors);
     } else {
@@ -1018,21 +1179,7 @@ function initGrammarCheck(element) {
         pointer-events: none;
         z-index: 1000;
       }
-      .detailed-grammar-highlight {
-        pointer-events: auto;
-        background-color: rgba(217, 48, 37, 0.05);
-        border-bottom: 2px solid #d93025;
-        transition: background-color 0.2s ease;
-      }
-      .detailed-grammar-highlight:hover {
-        background-color: rgba(217, 48, 37, 0.15) !important;
-      }
-      .detailed-grammar-container {
-        pointer-events: none;
-        z-index: 1000;
-      }
-      .grammar-suggestion-popup,
-      .detailed-grammar-popup {
+      .grammar-suggestion-popup {
         z-index: 2147483647;
         box-shadow: 0 2px 10px rgba(0,0,0,0.2);
         border-radius: 4px;
@@ -1096,26 +1243,37 @@ function initGrammarCheck(element) {
   // Mark as initialized
   element.dataset.grammarCheckEnabled = 'true';
 
+  // Release the listeners and the container when the field is removed from the page
+  setupElementCleanup(element);
+
   // Setup event listeners with debouncing
   const debouncedCheck = debounce(async () => {
     const text = element.value || element.textContent || '';
     if (text.trim().length >= 10) {
       try {
-        // Check if we have an API key before proceeding
-        let hasApiKey = false;
-        if (typeof window.GrammarSniperConfig !== 'undefined' && typeof window.GrammarSniperConfig.getApiKey === 'function') {
-          hasApiKey = !!window.GrammarSniperConfig.getApiKey();
-        }
-        
-        if (!hasApiKey) {
-          console.log('API key not available yet, will check grammar when key is set');
+        // Check if the grammar backend is configured before proceeding
+        if (!isGrammarBackendAvailable()) {
+          console.log('Grammar backend not configured yet, will check grammar when it is set');
           // Don't show an error, just wait for key to be set
           return;
         }
-        
-        const errors = await checkGrammar(text);
-        if (element.isConnected) { // Recheck connection before applying
-          applyGrammarHighlighting(element, errors);
+
+        // Only the sentences edited since the last check are sent again (see documentModel.js)
+        const errors = await checkDocument(element, text, checkGrammar, async keptErrors => {
+          // Spelling is checked locally, so show it with the kept underlines while the backend is still working
+          const previewErrors = mergeRuleErrors(keptErrors, await getSpellingErrors(text));
+          if (previewErrors.length > 0 && element.isConnected) {
+            applyGrammarHighlighting(element, previewErrors);
+          }
+        });
+        if (errors && element.isConnected) { // Recheck connection before applying
+          // Typing since the check started moves the underlines, the check of the new text is already queued
+          const currentText = element.value || element.textContent || '';
+          const currentErrors = rebaseErrors(errors, text, currentText).errors;
+          applyGrammarHighlighting(element, currentErrors);
+          if (currentErrors.length === 0) {
+            clearGrammarHighlightsForRange(element, 0, currentText.length);
+          }
         }
       } catch (error) {
         console.error('Error during grammar check:', error);
@@ -1207,18 +1365,10 @@ function cleanupElementGrammarCheck(element) {
     if (container) {
       container.remove();
     }
-    
-    // Also clean up detailed grammar container if it exists
-    const detailedContainer = element.parentElement.querySelector(
-      `.detailed-grammar-container[data-for="${element.id || ''}"]`
-    );
-    if (detailedContainer) {
-      detailedContainer.remove();
-    }
   }
   
   // Clean up any popups related to this element
-  const popups = document.querySelectorAll('.grammar-suggestion-popup, .detailed-grammar-popup');
+  const popups = document.querySelectorAll('.grammar-suggestion-popup');
   popups.forEach(popup => {
     if (popup.dataset.forElement === element.id) {
       popup.remove();
@@ -1231,783 +1381,9 @@ function cleanupElementGrammarCheck(element) {
   console.log('Grammar check resources cleaned up for element:', element.id);
 }
 
-// Function to check grammar with detailed response in words_with_mistakes format
-async function checkGrammarDetailed(text) {
-  // Handle null, undefined or empty text
-  if (!text || text.trim().length < 10) {
-    console.log('Text is too short for detailed grammar check');
-    return { words_with_mistakes: [] };
-  }
-
-  try {
-    console.log('Checking grammar with detailed format for text:', text.substring(0, 50) + (text.length > 50 ? '...' : ''));
-    
-    // Check for API key availability
-    let hasApiKey = false;
-    if (typeof window.GrammarSniperConfig !== 'undefined' && typeof window.GrammarSniperConfig.getApiKey === 'function') {
-      hasApiKey = !!window.GrammarSniperConfig.getApiKey();
-    }
-    
-    if (!hasApiKey) {
-      console.log('No API key available, skipping detailed grammar check');
-      return { words_with_mistakes: [] };
-    }
-
-    // Call the API function for detailed grammar checking
-    const result = await checkGrammarWithDetails(text);
-    
-    // Validate result structure
-    if (!result || !result.words_with_mistakes || !Array.isArray(result.words_with_mistakes)) {
-      console.error('Invalid result structure from detailed grammar check:', result);
-      return { words_with_mistakes: [] };
-    }
-    
-    return result;
-  } catch (error) {
-    console.error('Error checking grammar with detailed format:', error);
-    return { words_with_mistakes: [] }; // Return empty result on error
-  }
-}
-
-// Function to apply detailed grammar highlighting to an element
-function applyDetailedGrammarHighlighting(element, wordsWithMistakes) {
-  if (!element || !wordsWithMistakes || wordsWithMistakes.length === 0) return;
-  
-  // Enhanced check for element's parent element and connection to DOM
-  if (!element.isConnected) {
-    console.warn('Element is disconnected from DOM, cannot apply detailed grammar highlighting');
-    return;
-  }
-  
-  if (!element.parentElement) {
-    console.warn('Element has no parent, cannot apply detailed grammar highlighting');
-    return;
-  }
-
-  // Check if element already has highlighting container
-  let container = element.parentElement.querySelector(`.detailed-grammar-container[data-for="${element.id || ''}"]`);
-  
-  if (!container) {
-    // Create container for highlighting
-    container = document.createElement('div');
-    container.className = 'detailed-grammar-container';
-    container.style.position = 'absolute';
-    container.style.top = '0';
-    container.style.left = '0';
-    container.style.right = '0';
-    container.style.bottom = '0';
-    container.style.pointerEvents = 'none';
-    container.style.zIndex = '1';
-    container.style.overflow = 'hidden';
-    
-    // Add a unique identifier for this container to link it to the element
-    if (!element.id) {
-      element.id = 'detailedgrammar-el-' + Date.now() + '-' + Math.random().toString(36).substr(2, 5);
-    }
-    container.dataset.for = element.id;
-    
-    // Position container over the element
-    const elementPosition = element.getBoundingClientRect();
-    container.style.width = `${elementPosition.width}px`;
-    container.style.height = `${elementPosition.height}px`;
-    
-    // Make sure element's parent has position for absolute positioning
-    if (getComputedStyle(element.parentElement).position === 'static') {
-      element.parentElement.style.position = 'relative';
-    }
-    
-    element.parentElement.appendChild(container);
-  } else {
-    // Clear existing highlights
-    container.innerHTML = '';
-    
-    // Update container size in case the element size changed
-    const elementPosition = element.getBoundingClientRect();
-    container.style.width = `${elementPosition.width}px`;
-    container.style.height = `${elementPosition.height}px`;
-  }
-  
-  // Get element text content
-  const text = element.value || element.textContent || '';
-  if (!text || text.length === 0) {
-    console.log('Element has no text content, skipping detailed highlighting');
-    return;
-  }
-  
-  console.log('Applying detailed highlights for text:', text.substring(0, 50) + (text.length > 50 ? '...' : ''));
-  
-  // Create highlights for each error
-  wordsWithMistakes.forEach(mistake => {
-    // Validate mistake data
-    if (!mistake || typeof mistake !== 'object') {
-      console.warn('Invalid mistake object:', mistake);
-      return;
-    }
-    
-    if (typeof mistake.start_index !== 'number' || typeof mistake.end_index !== 'number' ||
-        mistake.start_index < 0 || mistake.end_index > text.length || 
-        mistake.start_index >= mistake.end_index) {
-      console.warn('Invalid mistake positions:', mistake);
-      return; // Skip this mistake
-    }
-
-    // Get the exact mistake text from the original content
-    const mistakeText = text.substring(mistake.start_index, mistake.end_index);
-    if (!mistakeText || mistakeText.length === 0) {
-      console.warn('Empty mistake text at positions', mistake.start_index, mistake.end_index);
-      return;
-    }
-    
-    console.log('Highlighting mistake:', mistakeText, 'at positions', mistake.start_index, mistake.end_index);
-
-    // Create highlight element
-    const highlight = document.createElement('div');
-    highlight.className = 'detailed-grammar-highlight';
-    highlight.dataset.text = mistakeText;
-    highlight.dataset.suggestion = mistake.suggestion || '';
-    highlight.dataset.startIndex = mistake.start_index;
-    highlight.dataset.endIndex = mistake.end_index;
-    highlight.dataset.mistakeType = mistake.mistake_type || 'grammar';
-    
-    // Create a unique ID for this highlight
-    highlight.id = 'detailed-highlight-' + Date.now() + '-' + Math.random().toString(36).substr(2, 5);
-    
-    // Enhanced highlight styling for better visibility
-    highlight.style.position = 'absolute';
-    highlight.style.backgroundColor = 'rgba(255, 0, 0, 0.15)'; // More visible red background
-    highlight.style.borderBottom = '2px wavy #ff0000'; // Wavy red underline
-    highlight.style.mixBlendMode = 'multiply'; // Better color blending
-    highlight.style.zIndex = '2';
-    highlight.style.pointerEvents = 'auto';
-    highlight.style.cursor = 'pointer';
-    highlight.style.borderRadius = '2px'; // Slightly rounded corners
-    highlight.style.transition = 'background-color 0.2s ease'; // Smooth hover effect
-    
-    // Add hover effect
-    highlight.addEventListener('mouseenter', () => {
-      highlight.style.backgroundColor = 'rgba(255, 0, 0, 0.25)'; // Darker on hover
-    });
-    
-    highlight.addEventListener('mouseleave', () => {
-      highlight.style.backgroundColor = 'rgba(255, 0, 0, 0.15)'; // Back to normal
-    });
-    
-    try {
-      // Different positioning strategies based on element type
-      if (element.nodeName === 'INPUT' || element.nodeName === 'TEXTAREA') {
-        positionDetailedHighlightForInputElement(highlight, element, mistake, text);
-      } else if (element.isContentEditable) {
-        positionDetailedHighlightForContentEditable(highlight, element, mistake, container);
-      } else {
-        // Fallback for other element types
-        highlight.style.left = '0px';
-        highlight.style.top = '0px';
-        highlight.style.width = '100%';
-        highlight.style.height = '20px';
-      }
-    } catch (e) {
-      console.error('Error positioning detailed highlight:', e);
-      return; // Skip this highlight if positioning fails
-    }
-    
-    // Add click handler to show suggestion popup
-    highlight.addEventListener('click', (e) => {
-      e.stopPropagation();
-      showDetailedGrammarSuggestionPopup(highlight, element);
-    });
-    
-    container.appendChild(highlight);
-  });
-}
-
-// Function to position detailed highlight for input and textarea elements
-function positionDetailedHighlightForInputElement(highlight, element, mistake, text) {
-  // Create a hidden div to measure text dimensions
-  const measureEl = document.createElement('div');
-  measureEl.style.position = 'absolute';
-  measureEl.style.visibility = 'hidden';
-  measureEl.style.whiteSpace = element.nodeName === 'TEXTAREA' ? 'pre-wrap' : 'pre';
-  measureEl.style.wordWrap = 'break-word';
-  measureEl.style.overflow = 'hidden';
-  measureEl.style.width = `${element.clientWidth}px`;
-  
-  // Copy all computed styles from the element for more accurate measurement
-  const elementStyle = window.getComputedStyle(element);
-  const importantStyles = [
-    'font-family', 'font-size', 'font-weight', 'letter-spacing', 'font-style',
-    'text-transform', 'line-height', 'text-indent', 'word-spacing',
-    'padding-left', 'padding-right', 'padding-top', 'padding-bottom', 
-    'box-sizing', 'border-width', 'direction', 'text-align'
-  ];
-  
-  importantStyles.forEach(style => {
-    measureEl.style[style] = elementStyle.getPropertyValue(style);
-  });
-  
-  // Add to document to get accurate measurements
-  document.body.appendChild(measureEl);
-  
-  // Get text before the mistake
-  const beforeText = text.substring(0, mistake.start_index);
-  const mistakeText = text.substring(mistake.start_index, mistake.end_index);
-  
-  // Better positioning for different element types
-  if (element.nodeName === 'TEXTAREA') {
-    // For multi-line elements, we need to handle line breaks
-    const lines = beforeText.split('\n');
-    const lastLine = lines[lines.length - 1];
-    
-    // Calculate line height and vertical position
-    const lineHeight = parseInt(elementStyle.lineHeight) || parseInt(elementStyle.fontSize) * 1.2;
-    const verticalOffset = (lines.length - 1) * lineHeight;
-    
-    // Create and measure span for the last line before mistake
-    measureEl.innerHTML = '';
-    const lastLineSpan = document.createElement('span');
-    lastLineSpan.textContent = lastLine;
-    measureEl.appendChild(lastLineSpan);
-    
-    // Get horizontal position
-    const horizontalOffset = lastLineSpan.offsetWidth;
-    
-    // Measure mistake text
-    measureEl.innerHTML = '';
-    const mistakeSpan = document.createElement('span');
-    mistakeSpan.textContent = mistakeText;
-    measureEl.appendChild(mistakeSpan);
-    const mistakeWidth = Math.max(mistakeSpan.offsetWidth, 10); // Ensure minimum width
-    
-    // Calculate scroll and padding adjustments
-    const scrollLeft = parseInt(element.scrollLeft || 0);
-    const scrollTop = parseInt(element.scrollTop || 0);
-    const paddingLeft = parseInt(elementStyle.paddingLeft) || 0;
-    const paddingTop = parseInt(elementStyle.paddingTop) || 0;
-    
-    // Apply position
-    highlight.style.left = `${horizontalOffset + paddingLeft - scrollLeft}px`;
-    highlight.style.top = `${verticalOffset + paddingTop - scrollTop}px`;
-    highlight.style.width = `${mistakeWidth}px`;
-    highlight.style.height = `${lineHeight}px`;
-  } else {
-    // For single-line elements
-    measureEl.innerHTML = '';
-    
-    // Create and measure span for text before mistake
-    const beforeSpan = document.createElement('span');
-    beforeSpan.textContent = beforeText;
-    measureEl.appendChild(beforeSpan);
-    
-    // Create and measure span for mistake text
-    const mistakeSpan = document.createElement('span');
-    mistakeSpan.textContent = mistakeText;
-    mistakeSpan.style.position = 'relative'; // Ensure proper measurement
-    
-    // Get positions and dimensions
-    const beforeWidth = beforeSpan.offsetWidth;
-    
-    // Clear and add mistake span to measure
-    measureEl.innerHTML = '';
-    measureEl.appendChild(mistakeSpan);
-    const mistakeWidth = Math.max(mistakeSpan.offsetWidth, 10); // Ensure minimum width
-    
-    // Calculate scroll and padding adjustments
-    const scrollLeft = parseInt(element.scrollLeft || 0);
-    const scrollTop = parseInt(element.scrollTop || 0);
-    const paddingLeft = parseInt(elementStyle.paddingLeft) || 0;
-    const paddingTop = parseInt(elementStyle.paddingTop) || 0;
-    const paddingBottom = parseInt(elementStyle.paddingBottom) || 0;
-    
-    // Calculate element height
-    const elementHeight = element.clientHeight - (paddingTop + paddingBottom);
-    
-    // Apply position
-    highlight.style.left = `${beforeWidth + paddingLeft - scrollLeft}px`;
-    highlight.style.top = `${paddingTop}px`;
-    highlight.style.width = `${mistakeWidth}px`;
-    highlight.style.height = `${elementHeight}px`;
-  }
-  
-  // Clean up
-  document.body.removeChild(measureEl);
-}
-
-// Function to position detailed highlight for contentEditable elements
-function positionDetailedHighlightForContentEditable(highlight, element, mistake, container) {
-  try {
-    const range = document.createRange();
-    const text = element.textContent || '';
-    
-    // Find text node that contains the start position
-    const startNodeInfo = findTextNodeAtPosition(element, mistake.start_index);
-    if (!startNodeInfo) {
-        console.warn('Could not find text node for start position', mistake.start_index);
-        throw new Error('Start text node not found');
-    }
-    
-    // Find text node that contains the end position
-    const endNodeInfo = findTextNodeAtPosition(element, mistake.end_index);
-    if (!endNodeInfo) {
-        console.warn('Could not find text node for end position', mistake.end_index);
-        throw new Error('End text node not found');
-    }
-    
-    // Set the range to span from start to end
-    try {
-      range.setStart(startNodeInfo.node, startNodeInfo.offset);
-      range.setEnd(endNodeInfo.node, endNodeInfo.offset);
-    } catch (rangeError) {
-      console.error('Error setting range:', rangeError);
-      throw new Error('Could not set range properly');
-    }
-    
-    // Store the text being highlighted for reference
-    highlight.dataset.originalText = range.toString();
-    
-    // Get the bounding client rects of the range for more accurate positioning
-    const rects = range.getClientRects();
-    
-    // Handle the positioning based on the number of rects (text fragments)
-    if (rects.length === 0) {
-      console.warn('No client rects found for range, using fallback');
-      
-      // Fallback to getBoundingClientRect if no rects
-      const fallbackRect = range.getBoundingClientRect();
-      const containerRect = container.getBoundingClientRect();
-      
-      highlight.style.left = `${fallbackRect.left - containerRect.left}px`;
-      highlight.style.top = `${fallbackRect.top - containerRect.top}px`;
-      highlight.style.width = `${Math.max(fallbackRect.width, 10)}px`;
-      highlight.style.height = `${fallbackRect.height}px`;
-    }
-    else if (rects.length === 1) {
-      // Single line case - straightforward positioning
-      const rect = rects[0];
-      const containerRect = container.getBoundingClientRect();
-      
-      highlight.style.left = `${rect.left - containerRect.left}px`;
-      highlight.style.top = `${rect.top - containerRect.top}px`;
-      highlight.style.width = `${Math.max(rect.width, 10)}px`;
-      highlight.style.height = `${rect.height}px`;
-    }
-    else {
-      // Multi-line case - create a wrapper for all fragments
-      // Use first and last rect to determine boundaries
-      const firstRect = rects[0];
-      const lastRect = rects[rects.length - 1];
-      const containerRect = container.getBoundingClientRect();
-      
-      // Create a covering highlight that encompasses all text fragments
-      const left = firstRect.left - containerRect.left;
-      const top = firstRect.top - containerRect.top;
-      const right = Math.max(...Array.from(rects).map(r => r.right)) - containerRect.left;
-      const bottom = lastRect.bottom - containerRect.top;
-      
-      highlight.style.left = `${left}px`;
-      highlight.style.top = `${top}px`;
-      highlight.style.width = `${right - left}px`;
-      highlight.style.height = `${bottom - top}px`;
-    }
-    
-    // Ensure the highlight is within container bounds
-    const containerWidth = container.clientWidth;
-    const containerHeight = container.clientHeight;
-    const highlightLeft = parseFloat(highlight.style.left);
-    const highlightTop = parseFloat(highlight.style.top);
-    const highlightWidth = parseFloat(highlight.style.width);
-    const highlightHeight = parseFloat(highlight.style.height);
-    
-    // Adjust if outside bounds
-    if (highlightLeft < 0) {
-      highlight.style.left = '0px';
-      highlight.style.width = `${Math.min(highlightWidth + highlightLeft, containerWidth)}px`;
-    }
-    if (highlightTop < 0) {
-      highlight.style.top = '0px';
-      highlight.style.height = `${Math.min(highlightHeight + highlightTop, containerHeight)}px`;
-    }
-    if (highlightLeft + highlightWidth > containerWidth) {
-      highlight.style.width = `${containerWidth - highlightLeft}px`;
-    }
-    if (highlightTop + highlightHeight > containerHeight) {
-      highlight.style.height = `${containerHeight - highlightTop}px`;
-    }
-    
-    // Apply standard styling
-    highlight.style.backgroundColor = 'rgba(217, 48, 37, 0.05)';
-    highlight.style.borderBottom = '2px solid #d93025';
-  } 
-  catch (error) {
-    console.error('Error positioning detailed contenteditable highlight:', error);
-    
-    // Apply a fallback highlight at the start of the element
-    highlight.style.left = '0px';
-    highlight.style.top = '0px';
-    highlight.style.width = '100%';
-    highlight.style.height = '2px';
-    highlight.style.backgroundColor = 'rgba(217, 48, 37, 0.2)';
-    highlight.style.borderBottom = '2px solid #d93025';
-  }
-}
-
-// Function to show detailed grammar suggestion popup
-function showDetailedGrammarSuggestionPopup(highlight, element) {
-  // Remove any existing popup
-  const existingPopup = document.querySelector('.detailed-grammar-popup');
-  if (existingPopup) {
-    existingPopup.remove();
-  }
-  
-  // Create popup container
-  const popup = document.createElement('div');
-  popup.className = 'detailed-grammar-popup';
-  popup.style.position = 'absolute';
-  popup.style.zIndex = '9999';
-  popup.style.background = 'white';
-  popup.style.border = '1px solid #ccc';
-  popup.style.boxShadow = '0 2px 10px rgba(0,0,0,0.2)';
-  popup.style.borderRadius = '4px';
-  popup.style.padding = '10px';
-  popup.style.maxWidth = '300px';
-  popup.style.wordWrap = 'break-word';
-  
-  // Get mistake info from highlight
-  const mistakeText = highlight.dataset.text || '';
-  const suggestion = highlight.dataset.suggestion || '';
-  const mistakeType = highlight.dataset.mistakeType || 'grammar';
-  const startIndex = parseInt(highlight.dataset.startIndex);
-  const endIndex = parseInt(highlight.dataset.endIndex);
-  
-  // Create type indicator
-  const typeIndicator = document.createElement('div');
-  typeIndicator.className = 'detailed-grammar-type';
-  typeIndicator.style.fontSize = '12px';
-  typeIndicator.style.fontWeight = 'bold';
-  typeIndicator.style.color = '#555';
-  typeIndicator.style.textTransform = 'capitalize';
-  typeIndicator.textContent = mistakeType;
-  popup.appendChild(typeIndicator);
-  
-  // Create mistake text
-  const mistakeElement = document.createElement('div');
-  mistakeElement.className = 'detailed-grammar-mistake';
-  mistakeElement.style.fontSize = '14px';
-  mistakeElement.style.marginTop = '5px';
-  mistakeElement.style.marginBottom = '5px';
-  mistakeElement.style.textDecoration = 'line-through';
-  mistakeElement.style.color = '#d93025';
-  mistakeElement.textContent = mistakeText;
-  popup.appendChild(mistakeElement);
-  
-  // Create suggestion
-  const suggestionElement = document.createElement('div');
-  suggestionElement.className = 'detailed-grammar-suggestion';
-  suggestionElement.style.fontSize = '14px';
-  suggestionElement.style.marginBottom = '10px';
-  suggestionElement.style.color = '#0f9d58';
-  suggestionElement.textContent = suggestion;
-  popup.appendChild(suggestionElement);
-  
-  // Create replace button
-  const replaceButton = document.createElement('button');
-  replaceButton.className = 'detailed-grammar-replace-btn';
-  replaceButton.style.background = '#1a73e8';
-  replaceButton.style.color = 'white';
-  replaceButton.style.border = 'none';
-  replaceButton.style.padding = '5px 10px';
-  replaceButton.style.borderRadius = '4px';
-  replaceButton.style.cursor = 'pointer';
-  replaceButton.style.marginRight = '5px';
-  replaceButton.textContent = 'Replace';
-  replaceButton.addEventListener('click', () => {
-    applyDetailedSuggestion(element, suggestion, startIndex, endIndex);
-    popup.remove();
-  });
-  popup.appendChild(replaceButton);
-  
-  // Create ignore button
-  const ignoreButton = document.createElement('button');
-  ignoreButton.className = 'detailed-grammar-ignore-btn';
-  ignoreButton.style.background = '#f1f3f4';
-  ignoreButton.style.color = '#1a73e8';
-  ignoreButton.style.border = 'none';
-  ignoreButton.style.padding = '5px 10px';
-  ignoreButton.style.borderRadius = '4px';
-  ignoreButton.style.cursor = 'pointer';
-  ignoreButton.textContent = 'Ignore';
-  ignoreButton.addEventListener('click', () => {
-    // Get the position data from the highlight
-    const currentStartIndex = parseInt(highlight.dataset.startIndex) || 0;
-    const currentEndIndex = parseInt(highlight.dataset.endIndex) || 0;
-    
-    // Clear detailed grammar highlights for the range
-    clearDetailedGrammarHighlightsForRange(element, currentStartIndex, currentEndIndex);
-    
-    // Remove the popup
-    popup.remove();
-    
-    // Remove the highlight if it still exists
-    if (highlight && highlight.parentElement) {
-      highlight.remove();
-    }
-  });
-  popup.appendChild(ignoreButton);
-  
-  // Position popup near the highlight
-  const highlightRect = highlight.getBoundingClientRect();
-  popup.style.left = `${highlightRect.left}px`;
-  popup.style.top = `${highlightRect.bottom + window.scrollY + 5}px`;
-  
-  // Adjust position if popup goes out of viewport
-  document.body.appendChild(popup);
-  const popupRect = popup.getBoundingClientRect();
-  
-  if (popupRect.right > window.innerWidth) {
-    popup.style.left = `${window.innerWidth - popupRect.width - 10}px`;
-  }
-  
-  if (popupRect.bottom > window.innerHeight) {
-    popup.style.top = `${highlightRect.top + window.scrollY - popupRect.height - 5}px`;
-  }
-  
-  // Add click outside handler
-  const handleClickOutside = (e) => {
-    if (!popup.contains(e.target) && e.target !== highlight) {
-      popup.remove();
-      document.removeEventListener('click', handleClickOutside);
-    }
-  };
-  
-  // Slight delay to prevent immediate closing
-  setTimeout(() => {
-    document.addEventListener('click', handleClickOutside);
-  }, 100);
-}
-
-// Function to apply a detailed suggestion to an element
-function applyDetailedSuggestion(element, suggestion, startIndex, endIndex) {
-  try {
-    console.log(`Applying detailed suggestion: '${suggestion}' at positions ${startIndex}-${endIndex}`);
-    
-    // Validate inputs
-    if (!element || !element.isConnected) {
-      console.error('Element is not valid or disconnected from DOM');
-      return false;
-    }
-    
-    if (typeof suggestion !== 'string' || suggestion.length === 0) {
-      console.error('Invalid suggestion');
-      return false;
-    }
-    
-    if (typeof startIndex !== 'number' || typeof endIndex !== 'number' || 
-        startIndex < 0 || startIndex >= endIndex) {
-      console.error('Invalid text indices');
-      return false;
-    }
-    
-    // Apply suggestion based on element type
-    if (element.nodeName === 'INPUT' || element.nodeName === 'TEXTAREA') {
-      // For standard inputs
-      const text = element.value || '';
-      
-      // Ensure indices are within bounds
-      if (endIndex > text.length) {
-        console.warn('End index exceeds text length, adjusting');
-        endIndex = Math.min(endIndex, text.length);
-      }
-      
-      // Apply the suggestion
-      element.value = text.substring(0, startIndex) + suggestion + text.substring(endIndex);
-      
-      // Set cursor position after the inserted text
-      try {
-        element.selectionStart = startIndex + suggestion.length;
-        element.selectionEnd = startIndex + suggestion.length;
-        element.focus();
-      } catch (e) {
-        console.warn('Could not set cursor position:', e);
-      }
-      
-      // Trigger input event
-      element.dispatchEvent(new Event('input', { bubbles: true }));
-    } 
-    else if (element.isContentEditable) {
-      // For contentEditable elements
-      const selection = window.getSelection();
-      const range = document.createRange();
-      
-      // Find nodes at the positions
-      const startNodeInfo = findTextNodeAtPosition(element, startIndex);
-      const endNodeInfo = findTextNodeAtPosition(element, endIndex);
-      
-      if (!startNodeInfo || !endNodeInfo) {
-        console.error('Could not find text nodes for replacement');
-        return false;
-      }
-      
-      // Set range to cover the text to replace
-      range.setStart(startNodeInfo.node, startNodeInfo.offset);
-      range.setEnd(endNodeInfo.node, endNodeInfo.offset);
-      
-      // Delete the content and insert new text
-      range.deleteContents();
-      const textNode = document.createTextNode(suggestion);
-      range.insertNode(textNode);
-      
-      // Set selection after the inserted text
-      range.setStartAfter(textNode);
-      range.collapse(true);
-      selection.removeAllRanges();
-      selection.addRange(range);
-    } else {
-      // For other elements
-      element.textContent = element.textContent.substring(0, startIndex) + 
-                           suggestion + 
-                           element.textContent.substring(endIndex);
-    }
-    
-    // Clear existing highlights for the corrected text
-    clearDetailedGrammarHighlightsForRange(element, startIndex, endIndex);
-    
-    // Re-check grammar after applying the suggestion
-    // This will properly update coordinates for remaining mistakes
-    setTimeout(() => {
-      initDetailedGrammarCheck(element);
-    }, 100);
-    
-    return true;
-  } catch (error) {
-    console.error('Error applying detailed suggestion:', error);
-    return false;
-  }
-}
-
-// Helper function to clear detailed grammar highlights for a specific text range
-function clearDetailedGrammarHighlightsForRange(element, startIndex, endIndex) {
-  if (!element || !element.parentElement) return;
-  
-  // Find the container
-  const container = element.parentElement.querySelector(`.detailed-grammar-container[data-for="${element.id || ''}"]`);
-  if (!container) return;
-  
-  // Find all highlights that overlap with the range
-  const highlights = container.querySelectorAll('.detailed-grammar-highlight');
-  highlights.forEach(highlight => {
-    const highlightStart = parseInt(highlight.dataset.startIndex);
-    const highlightEnd = parseInt(highlight.dataset.endIndex);
-    
-    // Check if this highlight overlaps with our range
-    if (!isNaN(highlightStart) && !isNaN(highlightEnd) &&
-        ((highlightStart <= endIndex && highlightEnd >= startIndex) || 
-         (startIndex <= highlightEnd && endIndex >= highlightStart))) {
-      // Remove the overlapping highlight
-      highlight.remove();
-    }
-  });
-}
-
-// Function to initialize detailed grammar checking for an element
-function initDetailedGrammarCheck(element) {
-  if (!element) return;
-  
-  // Only proceed if element is still in the DOM
-  if (!element.isConnected) {
-    console.warn('Element is disconnected from DOM, skipping detailed grammar check');
-    return;
-  }
-  
-  // Skip search boxes, address bars and utility inputs where grammar checking is not appropriate
-  const nodeName = element.nodeName.toLowerCase();
-  const isSearchBox = (element.type === 'search') || 
-                     (element.getAttribute('aria-label')?.toLowerCase().includes('search')) ||
-                     (element.getAttribute('placeholder')?.toLowerCase().includes('search')) ||
-                     (element.getAttribute('name')?.toLowerCase().includes('search')) ||
-                     (element.id?.toLowerCase().includes('search')) ||
-                     (element.classList.contains('search-input')) ||
-                     (element.classList.contains('searchbox')) ||
-                     (element.classList.contains('search-field')) ||
-                     (element.closest('form[role="search"]')) ||
-                     (element.closest('[aria-label*="search" i]'));
-                     
-  const isAddressBar = (element.id?.toLowerCase().includes('url')) || 
-                      (element.getAttribute('type') === 'url') ||
-                      (element.getAttribute('aria-label')?.toLowerCase().includes('address')) ||
-                      (element.classList.contains('url-input')) ||
-                      (element.classList.contains('address-bar'));
-                      
-  const isUtilityInput = isSearchBox || isAddressBar || 
-                        (element.getAttribute('autocomplete') === 'off' && element.getAttribute('type') !== 'text') ||
-                        (element.classList.contains('command-input')) ||
-                        (element.getAttribute('role') === 'combobox');
-  
-  if (isUtilityInput) {
-    console.log('Skipping detailed grammar check for search/utility input:', element.id || element.className || nodeName);
-    return;
-  }
-  
-  // Get text from element
-  const text = element.value || element.textContent || '';
-  if (!text || text.length < 10) {
-    console.log('Text is too short for detailed grammar check, skipping');
-    return;
-  }
-  
-  // Clear any existing grammar highlights
-  const container = element.parentElement?.querySelector(`.detailed-grammar-container[data-for="${element.id || ''}"]`);
-  if (container) {
-    container.innerHTML = '';
-  }
-  
-  // Check if we have an API key before proceeding
-  let hasApiKey = false;
-  if (typeof window.GrammarSniperConfig !== 'undefined' && typeof window.GrammarSniperConfig.getApiKey === 'function') {
-    hasApiKey = !!window.GrammarSniperConfig.getApiKey();
-  }
-  
-  if (!hasApiKey) {
-    console.log('API key not available yet, skipping detailed grammar check');
-    return;
-  }
-  
-  // Check grammar and apply highlighting
-  checkGrammarDetailed(text).then(result => {
-    if (result && result.words_with_mistakes && result.words_with_mistakes.length > 0) {
-      applyDetailedGrammarHighlighting(element, result.words_with_mistakes);
-    }
-  }).catch(error => {
-    console.error('Error during detailed grammar check init:', error);
-  });
-  
-  // Set up event listeners for changes to the element
-  // Use debounce to avoid checking too frequently
-  const setupDebounce = () => {
-    // Remove existing handler if any
-    element.__detailedGrammarCheckTimer && clearTimeout(element.__detailedGrammarCheckTimer);
-    
-    // Set up new debounced handler
-    element.__detailedGrammarCheckTimer = setTimeout(() => {
-      initDetailedGrammarCheck(element);
-    }, 1500); // Check 1.5 seconds after typing stops
-  };
-  
-  // Add event listeners if not already added
-  if (!element.__detailedGrammarCheckListenersAdded) {
-    element.addEventListener('input', setupDebounce);
-    element.addEventListener('change', setupDebounce);
-    
-    // Mark as added
-    element.__detailedGrammarCheckListenersAdded = true;
-    
-    // Setup cleanup when element is removed from DOM
-    setupElementCleanup(element);
-  }
-}
-
 // Expose functions to global scope
 window.checkGrammar = checkGrammar;
 window.applyGrammarHighlighting = applyGrammarHighlighting;
 window.initGrammarCheck = initGrammarCheck;
 window.cleanupElementGrammarCheck = cleanupElementGrammarCheck;
-window.checkGrammarDetailed = checkGrammarDetailed;
-window.applyDetailedGrammarHighlighting = applyDetailedGrammarHighlighting;
-window.initDetailedGrammarCheck = initDetailedGrammarCheck; 
\ No newline at end of file
+window.redrawGrammarHighlights = redrawGrammarHighlights; 
\ No newline at end of file
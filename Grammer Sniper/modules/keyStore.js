@@ -0,0 +1,360 @@
+/**
+ * @copyright This code belongs to Solo Hunters Open Source Community
+ */
+
+// Encrypted API key storage for the background service worker
+// Keys are encrypted with AES-GCM, either with a device key that never leaves this browser
+// or with a key derived from the user's passphrase (PBKDF2), so the store can follow them through sync
+
+// Where the encrypted store lives ('sync' or 'local'), a per-device choice kept in local storage
+const KEY_STORAGE_AREA_KEY = 'apiKeyStorageArea';
+
+const PBKDF2_ITERATIONS = 310000;
+// Encrypted with the passphrase key to tell a wrong passphrase from a right one
+const PASSPHRASE_CHECK_TEXT = 'grammar-sniper-passphrase-check';
+
+// CryptoKeys are kept in the extension's own IndexedDB, which pages and content scripts cannot open
+const KEY_DATABASE_NAME = 'grammar-sniper-keys';
+const KEY_DATABASE_STORE = 'keys';
+const DEVICE_KEY_RECORD = 'device';
+// Passphrase key of an unlocked store, dropped when the browser starts so each session unlocks again
+const UNLOCKED_KEY_RECORD = 'unlocked';
+
+function toBase64(bytes) {
+  let binary = '';
+  bytes.forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+function openKeyDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(KEY_DATABASE_NAME, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(KEY_DATABASE_STORE);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Run one request against the key object store and resolve with its result
+async function runKeyDatabaseRequest(mode, makeRequest) {
+  const database = await openKeyDatabase();
+  try {
+    return await new Promise((resolve, reject) => {
+      const request = makeRequest(database.transaction(KEY_DATABASE_STORE, mode).objectStore(KEY_DATABASE_STORE));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  } finally {
+    database.close();
+  }
+}
+
+function readKeyRecord(name) {
+  return runKeyDatabaseRequest('readonly', store => store.get(name));
+}
+
+function writeKeyRecord(name, value) {
+  return runKeyDatabaseRequest('readwrite', store => store.put(value, name));
+}
+
+function deleteKeyRecord(name) {
+  return runKeyDatabaseRequest('readwrite', store => store.delete(name));
+}
+
+// Non-extractable AES key created once per browser profile
+async function getDeviceKey() {
+  let deviceKey = await readKeyRecord(DEVICE_KEY_RECORD);
+  if (!deviceKey) {
+    deviceKey = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+    await writeKeyRecord(DEVICE_KEY_RECORD, deviceKey);
+  }
+  return deviceKey;
+}
+
+async function derivePassphraseKey(passphrase, salt) {
+  const baseKey = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+async function encryptText(cryptoKey, text) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, cryptoKey, new TextEncoder().encode(text));
+  return { iv: toBase64(iv), data: toBase64(new Uint8Array(data)) };
+}
+
+// Throws when the key is not the one the text was encrypted with
+async function decryptText(cryptoKey, encrypted) {
+  const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(encrypted.iv) }, cryptoKey, fromBase64(encrypted.data));
+  return new TextDecoder().decode(data);
+}
+
+// Area of a store when none was picked in the popup: keys encrypted with the device key cannot be read
+// on any other browser, so they stay on this one, while a passphrase store syncs to where it can be unlocked
+function getDefaultKeyStorageArea(mode) {
+  return mode === 'passphrase' ? 'sync' : 'local';
+}
+
+async function getChosenKeyStorageArea() {
+  const result = await chrome.storage.local.get(KEY_STORAGE_AREA_KEY);
+  const area = result[KEY_STORAGE_AREA_KEY];
+  return area === 'sync' || area === 'local' ? area : null;
+}
+
+async function getKeyStorageArea() {
+  const chosen = await getChosenKeyStorageArea();
+  if (chosen) {
+    return chosen;
+  }
+  // A store already in sync storage, saved by an older version or with a passphrase on another browser, is used there
+  const synced = await chrome.storage.sync.get(API_KEY_STORE_KEY);
+  return synced[API_KEY_STORE_KEY] ? 'sync' : getDefaultKeyStorageArea('device');
+}
+
+// The store: {mode: 'device' | 'passphrase', salt?, check?, keys: {providerId: {iv, data, updatedAt}}}
+async function readKeyStore() {
+  await legacyKeyMigration;
+  const area = await getKeyStorageArea();
+  const result = await chrome.storage[area].get(API_KEY_STORE_KEY);
+  return {
+    area,
+    store: result[API_KEY_STORE_KEY] || { mode: 'device', keys: {} }
+  };
+}
+
+function writeKeyStore(area, store) {
+  return chrome.storage[area].set({ [API_KEY_STORE_KEY]: store });
+}
+
+// Key that encrypts the store, or null while a passphrase store is locked
+async function getStoreKey(store) {
+  if (store.mode !== 'passphrase') {
+    return getDeviceKey();
+  }
+  return (await readKeyRecord(UNLOCKED_KEY_RECORD)) || null;
+}
+
+// Decrypted key of a provider, '' when none is saved or it cannot be read on this device
+async function getStoredApiKey(providerId) {
+  const { store } = await readKeyStore();
+  const encrypted = store.keys[providerId];
+  if (!encrypted) {
+    return '';
+  }
+  const storeKey = await getStoreKey(store);
+  if (!storeKey) {
+    return '';
+  }
+  try {
+    return await decryptText(storeKey, encrypted);
+  } catch (error) {
+    // A device-encrypted store synced from another browser
+    console.warn(`API key for ${providerId} cannot be decrypted on this device`);
+    return '';
+  }
+}
+
+async function saveApiKey(providerId, apiKey) {
+  if (!PROVIDERS[providerId] || !apiKey) {
+    throw new Error('A provider and an API key are required');
+  }
+  const { area, store } = await readKeyStore();
+  const storeKey = await getStoreKey(store);
+  if (!storeKey) {
+    throw new Error('Unlock your keys with the passphrase first');
+  }
+  store.keys[providerId] = {
+    ...(await encryptText(storeKey, apiKey)),
+    updatedAt: Date.now()
+  };
+  await writeKeyStore(area, store);
+  return true;
+}
+
+async function deleteApiKey(providerId) {
+  const { area, store } = await readKeyStore();
+  delete store.keys[providerId];
+  await writeKeyStore(area, store);
+  return true;
+}
+
+async function revealApiKey(providerId) {
+  const { store } = await readKeyStore();
+  if (store.mode === 'passphrase' && !(await getStoreKey(store))) {
+    throw new Error('Unlock your keys with the passphrase first');
+  }
+  const apiKey = await getStoredApiKey(providerId);
+  if (!apiKey) {
+    throw new Error('No readable key saved for this provider');
+  }
+  return apiKey;
+}
+
+// What the popup shows: where the keys are, whether they are locked and which providers have one
+async function getKeyStoreStatus() {
+  const { area, store } = await readKeyStore();
+  const storeKey = await getStoreKey(store);
+  const providers = {};
+  for (const [providerId, encrypted] of Object.entries(store.keys)) {
+    let readable = false;
+    if (storeKey) {
+      try {
+        await decryptText(storeKey, encrypted);
+        readable = true;
+      } catch (error) {
+        readable = false;
+      }
+    }
+    providers[providerId] = { saved: true, readable, updatedAt: encrypted.updatedAt };
+  }
+  return {
+    area,
+    passphrase: store.mode === 'passphrase',
+    locked: !storeKey,
+    providers
+  };
+}
+
+// Re-encrypt every readable key with the new key and save the store in its new form
+async function reencryptKeyStore(area, store, newStore, newKey) {
+  const oldKey = await getStoreKey(store);
+  if (!oldKey) {
+    throw new Error('Unlock your keys with the passphrase first');
+  }
+  newStore.keys = {};
+  for (const [providerId, encrypted] of Object.entries(store.keys)) {
+    try {
+      const apiKey = await decryptText(oldKey, encrypted);
+      newStore.keys[providerId] = { ...(await encryptText(newKey, apiKey)), updatedAt: encrypted.updatedAt };
+    } catch (error) {
+      console.warn(`Dropping API key for ${providerId}, it cannot be decrypted on this device`);
+    }
+  }
+  await writeKeyStore(area, newStore);
+}
+
+// Encrypt the keys with a passphrase, or with the device key again when the passphrase is empty
+// Unless an area was picked in the popup, the store moves to the default area of its new encryption
+async function setKeyPassphrase(passphrase) {
+  const { area, store } = await readKeyStore();
+  const newArea = (await getChosenKeyStorageArea()) || getDefaultKeyStorageArea(passphrase ? 'passphrase' : 'device');
+
+  if (!passphrase) {
+    await reencryptKeyStore(newArea, store, { mode: 'device' }, await getDeviceKey());
+    await deleteKeyRecord(UNLOCKED_KEY_RECORD);
+  } else {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const passphraseKey = await derivePassphraseKey(passphrase, salt);
+    await reencryptKeyStore(newArea, store, {
+      mode: 'passphrase',
+      salt: toBase64(salt),
+      check: await encryptText(passphraseKey, PASSPHRASE_CHECK_TEXT)
+    }, passphraseKey);
+    await writeKeyRecord(UNLOCKED_KEY_RECORD, passphraseKey);
+  }
+
+  if (newArea !== area) {
+    await chrome.storage[area].remove(API_KEY_STORE_KEY);
+  }
+  return true;
+}
+
+async function unlockKeyStore(passphrase) {
+  const { store } = await readKeyStore();
+  if (store.mode !== 'passphrase') {
+    return true;
+  }
+  const passphraseKey = await derivePassphraseKey(passphrase || '', fromBase64(store.salt));
+  try {
+    await decryptText(passphraseKey, store.check);
+  } catch (error) {
+    throw new Error('Wrong passphrase');
+  }
+  await writeKeyRecord(UNLOCKED_KEY_RECORD, passphraseKey);
+  // Keys an older version left in plaintext wait for the store to be unlocked
+  await migrateLegacyApiKeys();
+  return true;
+}
+
+async function lockKeyStore() {
+  await deleteKeyRecord(UNLOCKED_KEY_RECORD);
+  return true;
+}
+
+// Move the encrypted store between sync storage and this device's local storage
+async function setKeyStorageArea(newArea) {
+  if (newArea !== 'sync' && newArea !== 'local') {
+    throw new Error(`Unknown storage area: ${newArea}`);
+  }
+  const { area, store } = await readKeyStore();
+  if (area === newArea) {
+    return true;
+  }
+  await chrome.storage[newArea].set({ [API_KEY_STORE_KEY]: store });
+  await chrome.storage.local.set({ [KEY_STORAGE_AREA_KEY]: newArea });
+  await chrome.storage[area].remove(API_KEY_STORE_KEY);
+  return true;
+}
+
+// Older versions kept plaintext keys in sync storage under each provider's storageKey
+// The mock provider never had a key
+async function migrateLegacyApiKeys() {
+  const legacyStorageKeys = Object.values(PROVIDERS).map(provider => provider.storageKey).filter(Boolean);
+  const legacy = await chrome.storage.sync.get(legacyStorageKeys);
+  const providerIds = Object.keys(PROVIDERS).filter(providerId => PROVIDERS[providerId].storageKey && legacy[PROVIDERS[providerId].storageKey]);
+  if (providerIds.length === 0) {
+    return;
+  }
+
+  const area = await getKeyStorageArea();
+  const result = await chrome.storage[area].get(API_KEY_STORE_KEY);
+  const store = result[API_KEY_STORE_KEY] || { mode: 'device', keys: {} };
+  const storeKey = await getStoreKey(store);
+  if (!storeKey) {
+    // Migrated once the store is unlocked
+    return;
+  }
+  for (const providerId of providerIds) {
+    if (!store.keys[providerId]) {
+      store.keys[providerId] = {
+        ...(await encryptText(storeKey, legacy[PROVIDERS[providerId].storageKey])),
+        updatedAt: Date.now()
+      };
+    }
+  }
+  await writeKeyStore(area, store);
+  await chrome.storage.sync.remove(legacyStorageKeys);
+  console.log(`Encrypted ${providerIds.length} API key(s) saved by an older version`);
+}
+
+const legacyKeyMigration = migrateLegacyApiKeys().catch(error => {
+  console.error('Error migrating API keys:', error);
+});
+
+chrome.runtime.onStartup.addListener(function() {
+  deleteKeyRecord(UNLOCKED_KEY_RECORD).catch(error => {
+    console.error('Error locking API keys:', error);
+  });
+});
+
+// Expose to global scope
+self.getStoredApiKey = getStoredApiKey;
+self.saveApiKey = saveApiKey;
+self.deleteApiKey = deleteApiKey;
+self.revealApiKey = revealApiKey;
+self.getKeyStoreStatus = getKeyStoreStatus;
+self.setKeyPassphrase = setKeyPassphrase;
+self.unlockKeyStore = unlockKeyStore;
+self.lockKeyStore = lockKeyStore;
+self.setKeyStorageArea = setKeyStorageArea;
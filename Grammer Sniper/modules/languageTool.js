@@ -0,0 +1,137 @@
+/**
+ * @copyright This code belongs to Solo Hunters Open Source Community
+ */
+
+// LanguageTool backend
+// Talks to a (self-hosted) LanguageTool server over its HTTP API (/v2/check)
+// and converts its matches into the error objects used for underlining.
+
+const LANGUAGETOOL_DEFAULT_LANGUAGE = 'auto';
+// Server and language set in the popup, in sync storage
+const LANGUAGETOOL_SETTINGS_KEYS = ['languageToolUrl', 'languageToolLanguage'];
+// Maximum number of alternative replacements kept per match
+const LANGUAGETOOL_MAX_ALTERNATIVES = 3;
+
+// Map LanguageTool issue types onto the mistake types shown in the UI
+function mapLanguageToolIssueType(match) {
+  const issueType = match.rule && match.rule.issueType;
+  switch (issueType) {
+    case 'misspelling':
+      return 'spelling';
+    case 'typographical':
+    case 'whitespace':
+      return 'punctuation';
+    case 'style':
+    case 'locale-violation':
+    case 'register':
+      return 'style';
+    case 'duplication':
+    case 'inconsistency':
+      return 'word choice';
+    default:
+      return 'grammar';
+  }
+}
+
+// Build the /v2/check endpoint URL from the configured server URL
+function getLanguageToolCheckUrl(serverUrl) {
+  const trimmed = (serverUrl || '').trim().replace(/\/+$/, '');
+  if (!trimmed) {
+    throw new Error('No LanguageTool server URL configured');
+  }
+  if (trimmed.endsWith('/v2/check')) {
+    return trimmed;
+  }
+  if (trimmed.endsWith('/v2')) {
+    return `${trimmed}/check`;
+  }
+  return `${trimmed}/v2/check`;
+}
+
+// Convert LanguageTool matches to {error, suggestion, type, startPos, endPos} objects
+function convertLanguageToolMatches(text, matches) {
+  if (!Array.isArray(matches)) {
+    return [];
+  }
+
+  return matches.map(match => {
+    if (!match || typeof match.offset !== 'number' || typeof match.length !== 'number' || match.length <= 0) {
+      console.warn('Invalid LanguageTool match');
+      return null;
+    }
+
+    const startPos = match.offset;
+    const endPos = match.offset + match.length;
+    if (startPos < 0 || endPos > text.length) {
+      console.warn(`LanguageTool match outside of text bounds: ${match.offset}-${match.offset + match.length}`);
+      return null;
+    }
+
+    const replacements = (match.replacements || [])
+      .map(replacement => replacement && replacement.value)
+      .filter(value => typeof value === 'string');
+
+    return {
+      error: text.substring(startPos, endPos),
+      suggestion: replacements[0] || '',
+      alternatives: replacements.slice(1, 1 + LANGUAGETOOL_MAX_ALTERNATIVES),
+      type: mapLanguageToolIssueType(match),
+      message: match.message || match.shortMessage || '',
+      ruleId: match.rule ? match.rule.id : '',
+      startPos,
+      endPos
+    };
+  }).filter(Boolean);
+}
+
+// Check text against a LanguageTool server and return the converted errors
+// The server is read from storage here, never taken from a content script, so a page cannot
+// make the service worker send requests to a URL of its choosing
+// signal (an AbortSignal) cancels the request when the text has changed in the meantime
+async function checkWithLanguageTool(text, signal = null) {
+  const settings = await chrome.storage.sync.get(LANGUAGETOOL_SETTINGS_KEYS);
+  const checkUrl = getLanguageToolCheckUrl(settings.languageToolUrl);
+  const language = settings.languageToolLanguage || LANGUAGETOOL_DEFAULT_LANGUAGE;
+
+  // Results of the same server and language are saved across tabs and sessions (see resultCache.js)
+  const storedKey = { type: 'languagetool', text, url: checkUrl, language };
+  const stored = await getCachedResult(storedKey);
+  if (stored) {
+    return stored;
+  }
+
+  const body = new URLSearchParams();
+  body.set('text', text);
+  body.set('language', language);
+
+  // Public LanguageTool servers are rate limited too, so the request goes through the scheduler
+  const ticket = { priority: REQUEST_PRIORITY.BACKGROUND, signal };
+  const data = await scheduleRequest('languagetool', async () => {
+    console.log('Sending LanguageTool request to:', checkUrl);
+
+    const response = await fetch(checkUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Accept': 'application/json'
+      },
+      body: body.toString(),
+      signal: getRequestSignal(ticket, 15000) // 15 second timeout
+    });
+
+    if (!response.ok) {
+      throw await createHttpError(response, 'LanguageTool error!');
+    }
+
+    return response.json();
+  }, ticket);
+  console.log(`LanguageTool returned ${data.matches ? data.matches.length : 0} matches`);
+
+  const errors = convertLanguageToolMatches(text, data.matches);
+  setCachedResult(storedKey, errors);
+  return errors;
+}
+
+// Expose to global scope
+self.checkWithLanguageTool = checkWithLanguageTool;
+self.convertLanguageToolMatches = convertLanguageToolMatches;
@@ -0,0 +1,237 @@
+/**
+ * @copyright This code belongs to Solo Hunters Open Source Community
+ */
+
+// Recorded-response provider for the background service worker
+// The mock provider (see PROVIDERS in providers.js) sends nothing over the network: it answers a
+// prompt with the response recorded for it, found by a hash of the prompt. Recordings are made by
+// turning on recording in the popup, which saves what the real providers answer, and the bundled
+// fixtures file holds a few so the extension can be tried without a key. Replies can be slowed
+// down and made to fail, so loading states, positioning and error handling can be tried offline.
+
+// Bundled responses: {version, responses: {hash: {label, response}}}, the format recordings are exported in
+// Recording is turned on under MOCK_RECORDING_KEY in sync storage (see providers.js)
+const MOCK_FIXTURES_PATH = 'fixtures/mock-responses.json';
+
+// Recordings live in the extension's own IndexedDB, like the saved results (see resultCache.js)
+const MOCK_DATABASE_NAME = 'grammar-sniper-recordings';
+const MOCK_DATABASE_STORE = 'responses';
+
+// Failures the mock can inject instead of answering
+const MOCK_ERROR_MODES = ['none', 'rate-limit', 'server', 'timeout', 'malformed'];
+// Injected rate limits ask to be retried after this long, as a Retry-After header would
+const MOCK_RETRY_AFTER_MS = 2000;
+// Reply of an injected malformed answer, which no response schema accepts
+const MOCK_MALFORMED_REPLY = 'Sorry, I can only answer in plain text today.';
+// Labels hold the start of the recorded text, so entries can be told apart in an exported file
+const MOCK_LABEL_LENGTH = 80;
+
+// The fence around the user's text gets a random id on every prompt (see fenceUserText in prompts.js)
+const MOCK_FENCE_ID_PATTERN = /text_to_check_[0-9a-f]+/g;
+const MOCK_FENCE_TAG_PATTERN = /<\/?text_to_check_[0-9a-f]+>/g;
+
+// Replies since the service worker started, failures are injected on every errorEvery-th one
+let mockRequestCount = 0;
+// Loaded fixtures, read once per service worker
+let mockFixturesPromise = null;
+
+// Entries: {key, label, schema, response, recordedAt}
+function openMockDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(MOCK_DATABASE_NAME, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(MOCK_DATABASE_STORE, { keyPath: 'key' });
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Run one request against the recording store and resolve with its result
+async function runMockDatabaseRequest(mode, makeRequest) {
+  const database = await openMockDatabase();
+  try {
+    return await new Promise((resolve, reject) => {
+      const request = makeRequest(database.transaction(MOCK_DATABASE_STORE, mode).objectStore(MOCK_DATABASE_STORE));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  } finally {
+    database.close();
+  }
+}
+
+// SHA-256 of the prompt and the schema it is answered with, the same for every provider and fence id
+async function hashMockPrompt(prompt, responseSchema) {
+  const { instructions, input } = getPromptParts(prompt);
+  const parts = {
+    instructions: instructions.replace(MOCK_FENCE_ID_PATTERN, 'text_to_check'),
+    input: input.replace(MOCK_FENCE_ID_PATTERN, 'text_to_check'),
+    schema: responseSchema ? responseSchema.name : null
+  };
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(JSON.stringify(parts)));
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Start of the text a prompt was about, without the fence
+function getMockLabel(prompt) {
+  const { input } = getPromptParts(prompt);
+  return input.replace(MOCK_FENCE_TAG_PATTERN, '').replace(/\s+/g, ' ').trim().substring(0, MOCK_LABEL_LENGTH);
+}
+
+// The bundled responses by hash, {} when the file is missing or broken
+function loadMockFixtures() {
+  if (!mockFixturesPromise) {
+    mockFixturesPromise = fetch(chrome.runtime.getURL(MOCK_FIXTURES_PATH))
+      .then(response => response.json())
+      .then(fixtures => (fixtures && fixtures.responses) || {})
+      .catch(error => {
+        console.warn('Could not load the mock fixtures:', error);
+        return {};
+      });
+  }
+  return mockFixturesPromise;
+}
+
+async function isMockRecording() {
+  const result = await chrome.storage.sync.get(MOCK_RECORDING_KEY);
+  return !!result[MOCK_RECORDING_KEY];
+}
+
+// Save a real provider's response for the mock to replay, when recording is turned on
+// response is what the provider's parser returned, text or an already parsed object
+async function recordMockResponse(prompt, responseSchema, response) {
+  try {
+    if (!(await isMockRecording())) {
+      return;
+    }
+    const entry = {
+      key: await hashMockPrompt(prompt, responseSchema),
+      label: getMockLabel(prompt),
+      schema: responseSchema ? responseSchema.name : null,
+      response,
+      recordedAt: Date.now()
+    };
+    await runMockDatabaseRequest('readwrite', store => store.put(entry));
+    console.log(`Recorded the response for "${entry.label}"`);
+  } catch (error) {
+    console.warn('Could not record the response:', error);
+  }
+}
+
+// The recording for a prompt, or the bundled one when nothing was recorded: {label, response} or null
+async function findMockResponse(prompt, responseSchema) {
+  const key = await hashMockPrompt(prompt, responseSchema);
+  const recorded = await runMockDatabaseRequest('readonly', store => store.get(key));
+  if (recorded) {
+    return recorded;
+  }
+  const fixtures = await loadMockFixtures();
+  return fixtures[key] || null;
+}
+
+// Wait like a provider would, rejecting with the signal's reason when it aborts
+function waitForMockLatency(latencyMs, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, latencyMs);
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// Error shaped like createHttpError's (see scheduler.js), so retries and fallbacks treat it the same
+function createMockHttpError(status, message, retryAfter = null) {
+  const error = new Error(`HTTP error! status: ${status}, message: ${message}`);
+  error.status = status;
+  error.retryAfter = retryAfter;
+  return error;
+}
+
+// Fail the way errorMode says: rejects with the error, or resolves with the reply for 'malformed'
+function injectMockFailure(errorMode, signal) {
+  switch (errorMode) {
+    case 'rate-limit':
+      return Promise.reject(createMockHttpError(429, 'Injected rate limit', MOCK_RETRY_AFTER_MS));
+    case 'server':
+      return Promise.reject(createMockHttpError(500, 'Injected server error'));
+    case 'timeout':
+      // Never answers, the request's own timeout ends it
+      return new Promise((resolve, reject) => {
+        if (signal.aborted) {
+          reject(signal.reason);
+          return;
+        }
+        signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+      });
+    default:
+      return Promise.resolve(MOCK_MALFORMED_REPLY);
+  }
+}
+
+function readMockNumber(value, fallback) {
+  const number = parseInt(value, 10);
+  return isNaN(number) || number < 0 ? fallback : number;
+}
+
+// Answer a prompt from the recordings after the configured latency
+// settings: {latency (ms), errorMode (see MOCK_ERROR_MODES), errorEvery}, stored as text by the popup
+// signal carries the request's timeout and its caller's cancellation (see getRequestSignal)
+// A prompt nothing was recorded for fails with a 404, the fallback chain can take over then
+async function answerMockPrompt(prompt, responseSchema, settings = {}, signal) {
+  const latency = readMockNumber(settings.latency, 0);
+  const errorMode = MOCK_ERROR_MODES.includes(settings.errorMode) ? settings.errorMode : 'none';
+  const errorEvery = Math.max(1, readMockNumber(settings.errorEvery, 1));
+  const count = ++mockRequestCount;
+
+  await waitForMockLatency(latency, signal);
+  if (errorMode !== 'none' && count % errorEvery === 0) {
+    console.log(`Mock provider injecting a ${errorMode} failure into reply ${count}`);
+    return injectMockFailure(errorMode, signal);
+  }
+
+  const entry = await findMockResponse(prompt, responseSchema);
+  if (!entry) {
+    throw createMockHttpError(404, `No recorded response for "${getMockLabel(prompt)}"`);
+  }
+  console.log(`Replaying the response recorded for "${entry.label}"`);
+  return entry.response;
+}
+
+// What the popup shows next to its recording controls: {entries, recording}
+async function getMockRecordingStatus() {
+  const [entries, recording] = await Promise.all([
+    runMockDatabaseRequest('readonly', store => store.count()),
+    isMockRecording()
+  ]);
+  return { entries, recording };
+}
+
+// Every recording in the fixtures file format, to be saved over fixtures/mock-responses.json
+async function exportMockRecordings() {
+  const entries = await runMockDatabaseRequest('readonly', store => store.getAll());
+  const responses = {};
+  entries.forEach(entry => {
+    responses[entry.key] = { label: entry.label, response: entry.response };
+  });
+  return { version: 1, responses };
+}
+
+function clearMockRecordings() {
+  return runMockDatabaseRequest('readwrite', store => store.clear());
+}
+
+// Expose to global scope
+self.answerMockPrompt = answerMockPrompt;
+self.recordMockResponse = recordMockResponse;
+self.isMockRecording = isMockRecording;
+self.getMockRecordingStatus = getMockRecordingStatus;
+self.exportMockRecordings = exportMockRecordings;
+self.clearMockRecordings = clearMockRecordings;
@@ -0,0 +1,174 @@
+/**
+ * @copyright This code belongs to Solo Hunters Open Source Community
+ */
+
+// Provider health check for the popup's save button
+// Makes a minimal test call and lists the models the key can use, so a wrong key is reported
+// when it is saved instead of when suggestions silently fail later
+
+// What a check can find, shown in the popup status area
+const PROVIDER_CHECK_STATUS = {
+  OK: 'ok',
+  INVALID_KEY: 'invalid_key',
+  NO_QUOTA: 'no_quota',
+  MODEL_UNAVAILABLE: 'model_unavailable',
+  NETWORK: 'network',
+  ERROR: 'error'
+};
+
+const PROVIDER_CHECK_PROMPT = 'Reply with the single word OK.';
+const PROVIDER_CHECK_TIMEOUT_MS = 15000;
+
+// A check should report a 429 right away instead of waiting for the scheduler's retries
+function createProviderCheckTicket() {
+  return { priority: REQUEST_PRIORITY.INTERACTIVE, maxRetries: 0 };
+}
+
+// Sort a failed call into one of the PROVIDER_CHECK_STATUS values
+// Providers disagree on status codes (Gemini answers a bad key with 400), so the message is checked too
+function classifyProviderError(error) {
+  const message = error.message || '';
+
+  // fetch rejects with "Failed to fetch" when the request never got an answer (offline, blocked, CORS)
+  if (error.name === 'TimeoutError' || (error.name === 'TypeError' && /fetch|network/i.test(message))) {
+    return PROVIDER_CHECK_STATUS.NETWORK;
+  }
+  if (!error.status) {
+    return PROVIDER_CHECK_STATUS.ERROR;
+  }
+  if (error.status === 402 || error.status === 429 || /quota|billing|credit|RESOURCE_EXHAUSTED/i.test(message)) {
+    return PROVIDER_CHECK_STATUS.NO_QUOTA;
+  }
+  if (error.status === 404 || /model_not_found|model.*(not found|does not exist|not supported|access)/i.test(message)) {
+    return PROVIDER_CHECK_STATUS.MODEL_UNAVAILABLE;
+  }
+  if (error.status === 401 || error.status === 403 || /API[_ ]KEY|authentication|unauthorized/i.test(message)) {
+    return PROVIDER_CHECK_STATUS.INVALID_KEY;
+  }
+  return PROVIDER_CHECK_STATUS.ERROR;
+}
+
+function describeProviderCheck(status, providerName, model) {
+  switch (status) {
+    case PROVIDER_CHECK_STATUS.OK:
+      return `${providerName} answered with ${model}`;
+    case PROVIDER_CHECK_STATUS.INVALID_KEY:
+      return `${providerName} rejected the API key`;
+    case PROVIDER_CHECK_STATUS.NO_QUOTA:
+      return `The ${providerName} key works but has no quota left`;
+    case PROVIDER_CHECK_STATUS.MODEL_UNAVAILABLE:
+      return `The ${providerName} key cannot use ${model}, pick another model`;
+    case PROVIDER_CHECK_STATUS.NETWORK:
+      return `Could not reach ${providerName}, check your connection or firewall`;
+    default:
+      return `${providerName} returned an unexpected error`;
+  }
+}
+
+// Model ids the key can use, from the provider's list-models endpoint
+async function listProviderModels(providerId, apiKey, settings) {
+  const provider = getProvider(providerId);
+  // The mock provider has nothing to list, it replays whichever model was recorded
+  if (provider.mock) {
+    return [provider.defaultModel];
+  }
+  const request = provider.buildModelsRequest(apiKey, settings);
+
+  return scheduleRequest(providerId, async () => {
+    const response = await fetch(request.url, {
+      method: 'GET',
+      headers: request.headers,
+      signal: AbortSignal.timeout(PROVIDER_CHECK_TIMEOUT_MS)
+    });
+    if (!response.ok) {
+      throw await createHttpError(response);
+    }
+    return provider.parseModels(await response.json()).sort();
+  }, createProviderCheckTicket());
+}
+
+// The key typed into the popup, or the saved one when apiKey is empty, with the saved settings
+// Settings typed into the popup override the saved ones
+async function getProviderCheckCredentials(providerId, apiKey, typedSettings = {}) {
+  const key = apiKey || await getStoredApiKey(providerId);
+  const stored = await chrome.storage.sync.get(getProviderStorageKeys());
+  return {
+    providerId,
+    apiKey: key,
+    settings: { ...getProviderSettingsFromStorage(providerId, stored), ...typedSettings }
+  };
+}
+
+// Models for the popup's model pickers, [] when they cannot be listed
+async function getProviderModels(providerId, typedSettings = {}) {
+  const credentials = await getProviderCheckCredentials(providerId, '', typedSettings);
+  // A custom endpoint can be listed before a model name is entered
+  const canList = getProvider(providerId).requiresApiKey === false ? !!credentials.settings.baseUrl : !!credentials.apiKey;
+  if (!canList) {
+    return [];
+  }
+  try {
+    return await listProviderModels(providerId, credentials.apiKey, credentials.settings);
+  } catch (error) {
+    console.warn(`Could not list ${getProvider(providerId).name} models:`, error);
+    return [];
+  }
+}
+
+// Check a provider with the key typed into the popup, or the saved one when apiKey is empty
+// Every model picked for a task gets a test call
+// Resolves with {providerId, status, message, detail, model, models}
+async function validateProvider(providerId, apiKey, typedSettings = {}) {
+  const provider = getProvider(providerId);
+  const credentials = await getProviderCheckCredentials(providerId, apiKey, typedSettings);
+  const { settings } = credentials;
+  const models = [...new Set(Object.keys(MODEL_TASKS).map(task => getTaskModel(providerId, settings, task)))];
+
+  if (!isProviderConfigured(providerId, credentials.apiKey, settings)) {
+    return {
+      providerId,
+      status: PROVIDER_CHECK_STATUS.INVALID_KEY,
+      message: `${provider.name} is not set up yet`,
+      detail: '',
+      model: models[0],
+      models: []
+    };
+  }
+
+  // The calls run together, a failed test call is easier to fix with the model list at hand
+  const [modelList, ...testCalls] = await Promise.allSettled([
+    listProviderModels(providerId, credentials.apiKey, settings),
+    ...models.map(model => sendPrompt(PROVIDER_CHECK_PROMPT, { ...credentials, model }, PROVIDER_CHECK_TIMEOUT_MS, null, createProviderCheckTicket()))
+  ]);
+
+  let status = PROVIDER_CHECK_STATUS.OK;
+  let detail = '';
+  let model = models.join(' and ');
+  const failedIndex = testCalls.findIndex(call => call.status === 'rejected');
+  if (failedIndex !== -1) {
+    const error = testCalls[failedIndex].reason;
+    status = classifyProviderError(error);
+    detail = error.message;
+    model = models[failedIndex];
+    console.warn(`${provider.name} check of ${model} failed (${status}):`, error);
+  }
+  if (modelList.status === 'rejected') {
+    console.warn(`Could not list ${provider.name} models:`, modelList.reason);
+  }
+
+  return {
+    providerId,
+    status,
+    message: describeProviderCheck(status, provider.name, model),
+    detail,
+    model,
+    models: modelList.status === 'fulfilled' ? modelList.value : []
+  };
+}
+
+// Expose to global scope
+self.PROVIDER_CHECK_STATUS = PROVIDER_CHECK_STATUS;
+self.classifyProviderError = classifyProviderError;
+self.listProviderModels = listProviderModels;
+self.getProviderModels = getProviderModels;
+self.validateProvider = validateProvider;
@@ -0,0 +1,567 @@
+/**
+ * @copyright This code belongs to Solo Hunters Open Source Community
+ */
+
+// AI provider definitions
+// Each provider knows how to build a request for a prompt, how to authenticate
+// and how to pull the generated text and the token counts out of its response. When a
+// response schema is passed, the provider's native structured output mode is used.
+
+const DEFAULT_PROVIDER_ID = 'gemini';
+// Storage key of the encrypted API keys (see keyStore.js)
+const API_KEY_STORE_KEY = 'apiKeyStore';
+// Ordered provider ids to try when the active provider fails (see fallback.js)
+const FALLBACK_PROVIDERS_KEY = 'fallbackProviders';
+// Whether the real providers' responses are recorded for the mock provider to replay (see mockProvider.js)
+const MOCK_RECORDING_KEY = 'mockRecording';
+// Last entry a fallback list can have: the offline rules in rules.js, which never fail
+const OFFLINE_RULES_FALLBACK = {
+  id: 'rules',
+  name: 'Offline rules'
+};
+
+// A prompt is either a plain string or {instructions, input}: the instructions go in the system part
+// and the user's text in its own message, so the text is never read as part of the task (see prompts.js)
+function getPromptParts(prompt) {
+  return typeof prompt === 'string'
+    ? { instructions: '', input: prompt }
+    : { instructions: prompt.instructions || '', input: prompt.input };
+}
+
+// Convert a JSON schema into the OpenAPI subset Gemini's responseSchema accepts
+function toGeminiSchema(schema) {
+  const converted = {};
+  Object.entries(schema).forEach(([key, value]) => {
+    if (key === 'additionalProperties') {
+      return;
+    }
+    if (key === 'type') {
+      converted.type = value.toUpperCase();
+    } else if (key === 'properties') {
+      converted.properties = {};
+      Object.entries(value).forEach(([name, property]) => {
+        converted.properties[name] = toGeminiSchema(property);
+      });
+      // Gemini orders fields alphabetically unless told otherwise, streamed replies rely on schema order
+      converted.propertyOrdering = Object.keys(value);
+    } else if (key === 'items') {
+      converted.items = toGeminiSchema(value);
+    } else {
+      converted[key] = value;
+    }
+  });
+  return converted;
+}
+
+// Shared request builder for providers that speak the OpenAI chat completions format
+// responseSchema ({name, description, schema}) asks for JSON output matching the schema
+function buildChatCompletionsRequest(url, prompt, apiKey, model, responseSchema, schemaMode = 'json_schema') {
+  const headers = {
+    'Content-Type': 'application/json'
+  };
+  // Self-hosted servers often run without authentication
+  if (apiKey) {
+    headers['Authorization'] = `Bearer ${apiKey}`;
+  }
+
+  const { instructions, input } = getPromptParts(prompt);
+  const messages = [];
+  if (instructions) {
+    messages.push({ role: 'system', content: instructions });
+  }
+  messages.push({ role: 'user', content: input });
+
+  const body = {
+    model,
+    messages,
+    temperature: 0.2
+  };
+
+  if (responseSchema) {
+    body.response_format = schemaMode === 'json_schema'
+      ? {
+        type: 'json_schema',
+        json_schema: {
+          name: responseSchema.name,
+          strict: true,
+          schema: responseSchema.schema
+        }
+      }
+      // JSON mode without a schema, the prompt describes the expected shape
+      : { type: 'json_object' };
+  }
+
+  return {
+    url,
+    headers,
+    body
+  };
+}
+
+// Turn a user supplied base URL into the chat completions endpoint
+// Accepts "http://host:8080/v1", "http://host:8080/v1/" or the full endpoint URL
+function getChatCompletionsUrl(baseUrl) {
+  const trimmed = (baseUrl || '').trim().replace(/\/+$/, '');
+  if (!trimmed) {
+    throw new Error('No base URL configured for the custom endpoint');
+  }
+  if (trimmed.endsWith('/chat/completions')) {
+    return trimmed;
+  }
+  return `${trimmed}/chat/completions`;
+}
+
+// Turn a user supplied base URL into the list-models endpoint
+function getModelsUrl(baseUrl) {
+  return getChatCompletionsUrl(baseUrl).replace(/\/chat\/completions$/, '/models');
+}
+
+// Shared list-models request for providers that speak the OpenAI format
+function buildChatCompletionsModelsRequest(url, apiKey) {
+  const headers = {};
+  if (apiKey) {
+    headers['Authorization'] = `Bearer ${apiKey}`;
+  }
+  return {
+    url,
+    headers
+  };
+}
+
+// Model ids of an OpenAI format list-models response, without the ones matching excludePattern
+function parseChatCompletionsModels(data, excludePattern = null) {
+  if (!data || !Array.isArray(data.data)) {
+    throw new Error('No models returned from API');
+  }
+  return data.data
+    .map(model => model.id)
+    .filter(id => typeof id === 'string' && !(excludePattern && excludePattern.test(id)));
+}
+
+// Shared streaming request builder: the normal request with "stream" turned on (SSE)
+function buildStreamingBodyRequest(provider, prompt, apiKey, model, settings, responseSchema) {
+  const request = provider.buildRequest(prompt, apiKey, model, settings, responseSchema);
+  request.body.stream = true;
+  return request;
+}
+
+// Text delta of one server-sent event from a chat completions stream
+function parseChatCompletionsStreamChunk(chunk) {
+  if (chunk.error) {
+    throw new Error(chunk.error.message || 'Streaming error');
+  }
+  const delta = chunk.choices && chunk.choices[0] && chunk.choices[0].delta;
+  return delta && typeof delta.content === 'string' ? delta.content : '';
+}
+
+// Token counts {promptTokens, responseTokens} of a chat completions response or its last stream chunk, null without them
+// Groq reports the usage of a stream under x_groq
+function parseChatCompletionsUsage(data) {
+  const usage = data.usage || (data.x_groq && data.x_groq.usage);
+  if (!usage) {
+    return null;
+  }
+  return { promptTokens: usage.prompt_tokens, responseTokens: usage.completion_tokens };
+}
+
+// Shared response parser for providers that speak the OpenAI chat completions format
+function parseChatCompletionsResponse(data) {
+  if (!data.choices || data.choices.length === 0) {
+    throw new Error('No choices returned from API');
+  }
+
+  const message = data.choices[0].message;
+  if (!message || typeof message.content !== 'string') {
+    throw new Error('Empty message returned from API');
+  }
+
+  return message.content;
+}
+
+const PROVIDERS = {
+  gemini: {
+    name: 'Google Gemini',
+    storageKey: 'googleApiKey',
+    // Models picked in the popup from the ones the key can use (see MODEL_TASKS)
+    settingsKeys: {
+      model: 'geminiModel',
+      checkModel: 'geminiCheckModel'
+    },
+    defaultModel: 'gemini-1.5-flash-latest',
+    // Free tier limits, see scheduler.js
+    rateLimit: { maxConcurrent: 2, requestsPerMinute: 15 },
+    buildRequest(prompt, apiKey, model, settings, responseSchema) {
+      const { instructions, input } = getPromptParts(prompt);
+      const body = {
+        contents: [
+          {
+            role: 'user',
+            parts: [
+              { text: input }
+            ]
+          }
+        ]
+      };
+      if (instructions) {
+        body.systemInstruction = {
+          parts: [
+            { text: instructions }
+          ]
+        };
+      }
+      if (responseSchema) {
+        body.generationConfig = {
+          responseMimeType: 'application/json',
+          responseSchema: toGeminiSchema(responseSchema.schema)
+        };
+      }
+
+      // The key goes in a header, URLs end up in logs
+      return {
+        url: `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(model)}:generateContent`,
+        headers: {
+          'Content-Type': 'application/json',
+          'x-goog-api-key': apiKey
+        },
+        body
+      };
+    },
+    parseResponse(data) {
+      // A blocked prompt comes back without candidates, a blocked or cut-off answer without parts
+      if (!data.candidates || data.candidates.length === 0) {
+        const blockReason = data.promptFeedback && data.promptFeedback.blockReason;
+        throw new Error(blockReason ? `Prompt blocked by the API: ${blockReason}` : 'No candidates returned from API');
+      }
+
+      const candidate = data.candidates[0];
+      if (!candidate.content || !Array.isArray(candidate.content.parts) || candidate.content.parts.length === 0) {
+        throw new Error(candidate.finishReason ? `No text returned from API, finish reason: ${candidate.finishReason}` : 'No text returned from API');
+      }
+
+      return candidate.content.parts.map(part => part.text || '').join('');
+    },
+    // Stream chunks carry the counts so far, so the last one has the totals
+    parseUsage(data) {
+      const usage = data.usageMetadata;
+      if (!usage) {
+        return null;
+      }
+      return { promptTokens: usage.promptTokenCount, responseTokens: usage.candidatesTokenCount || 0 };
+    },
+    buildStreamRequest(prompt, apiKey, model, settings, responseSchema) {
+      const request = this.buildRequest(prompt, apiKey, model, settings, responseSchema);
+      request.url = `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(model)}:streamGenerateContent?alt=sse`;
+      return request;
+    },
+    parseStreamUsage(chunk) {
+      return this.parseUsage(chunk);
+    },
+    parseStreamChunk(chunk) {
+      if (chunk.error) {
+        throw new Error(chunk.error.message || 'Streaming error');
+      }
+      const candidate = chunk.candidates && chunk.candidates[0];
+      if (!candidate || !candidate.content || !candidate.content.parts) {
+        return '';
+      }
+      return candidate.content.parts.map(part => part.text || '').join('');
+    },
+    buildModelsRequest(apiKey) {
+      return {
+        url: 'https://generativelanguage.googleapis.com/v1beta/models?pageSize=1000',
+        headers: {
+          'x-goog-api-key': apiKey
+        }
+      };
+    },
+    parseModels(data) {
+      if (!data || !Array.isArray(data.models)) {
+        throw new Error('No models returned from API');
+      }
+      // Embedding and other models that cannot generate text are listed too
+      return data.models
+        .filter(model => (model.supportedGenerationMethods || []).includes('generateContent'))
+        .map(model => model.name.replace(/^models\//, ''));
+    }
+  },
+
+  claude: {
+    name: 'Anthropic Claude',
+    storageKey: 'claudeApiKey',
+    settingsKeys: {
+      model: 'claudeModel',
+      checkModel: 'claudeCheckModel'
+    },
+    defaultModel: 'claude-3-5-haiku-latest',
+    rateLimit: { maxConcurrent: 2, requestsPerMinute: 50 },
+    buildRequest(prompt, apiKey, model, settings, responseSchema) {
+      const { instructions, input } = getPromptParts(prompt);
+      const request = {
+        url: 'https://api.anthropic.com/v1/messages',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-api-key': apiKey,
+          'anthropic-version': '2023-06-01',
+          // Required by Anthropic for requests made from a browser context
+          'anthropic-dangerous-direct-browser-access': 'true'
+        },
+        body: {
+          model,
+          max_tokens: 2048,
+          messages: [
+            { role: 'user', content: input }
+          ]
+        }
+      };
+      if (instructions) {
+        request.body.system = instructions;
+      }
+      // Claude has no JSON mode, forcing a tool call makes it fill in the schema instead
+      if (responseSchema) {
+        request.body.tools = [{
+          name: responseSchema.name,
+          description: responseSchema.description,
+          input_schema: responseSchema.schema
+        }];
+        request.body.tool_choice = { type: 'tool', name: responseSchema.name };
+      }
+      return request;
+    },
+    parseResponse(data) {
+      if (!data.content || data.content.length === 0) {
+        throw new Error('No content returned from API');
+      }
+
+      // Structured requests come back as the input of the forced tool call
+      const toolUse = data.content.find(block => block.type === 'tool_use');
+      if (toolUse) {
+        return toolUse.input;
+      }
+
+      return data.content
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+    },
+    parseUsage(data) {
+      if (!data.usage) {
+        return null;
+      }
+      return { promptTokens: data.usage.input_tokens, responseTokens: data.usage.output_tokens };
+    },
+    // The prompt tokens come with the first event of a stream, the response tokens with the last
+    parseStreamUsage(chunk) {
+      if (chunk.type === 'message_start' && chunk.message && chunk.message.usage) {
+        return { promptTokens: chunk.message.usage.input_tokens };
+      }
+      if (chunk.type === 'message_delta' && chunk.usage) {
+        return { responseTokens: chunk.usage.output_tokens };
+      }
+      return null;
+    },
+    buildStreamRequest(prompt, apiKey, model, settings, responseSchema) {
+      return buildStreamingBodyRequest(this, prompt, apiKey, model, settings, responseSchema);
+    },
+    parseStreamChunk(chunk) {
+      if (chunk.type === 'error') {
+        throw new Error(chunk.error ? chunk.error.message : 'Streaming error');
+      }
+      if (chunk.type === 'content_block_delta' && chunk.delta && chunk.delta.type === 'text_delta') {
+        return chunk.delta.text;
+      }
+      // Structured requests stream the forced tool call's input as JSON fragments
+      if (chunk.type === 'content_block_delta' && chunk.delta && chunk.delta.type === 'input_json_delta') {
+        return chunk.delta.partial_json;
+      }
+      return '';
+    },
+    buildModelsRequest(apiKey) {
+      return {
+        url: 'https://api.anthropic.com/v1/models?limit=1000',
+        headers: {
+          'x-api-key': apiKey,
+          'anthropic-version': '2023-06-01',
+          'anthropic-dangerous-direct-browser-access': 'true'
+        }
+      };
+    },
+    parseModels(data) {
+      return parseChatCompletionsModels(data);
+    }
+  },
+
+  openai: {
+    name: 'OpenAI',
+    storageKey: 'openaiApiKey',
+    settingsKeys: {
+      model: 'openaiModel',
+      checkModel: 'openaiCheckModel'
+    },
+    defaultModel: 'gpt-4o-mini',
+    rateLimit: { maxConcurrent: 3, requestsPerMinute: 60 },
+    buildRequest(prompt, apiKey, model, settings, responseSchema) {
+      return buildChatCompletionsRequest('https://api.openai.com/v1/chat/completions', prompt, apiKey, model, responseSchema);
+    },
+    parseResponse: parseChatCompletionsResponse,
+    parseUsage: parseChatCompletionsUsage,
+    buildStreamRequest(prompt, apiKey, model, settings, responseSchema) {
+      const request = buildStreamingBodyRequest(this, prompt, apiKey, model, settings, responseSchema);
+      // OpenAI only reports the usage of a stream when asked, in an extra chunk at the end
+      request.body.stream_options = { include_usage: true };
+      return request;
+    },
+    parseStreamChunk: parseChatCompletionsStreamChunk,
+    parseStreamUsage: parseChatCompletionsUsage,
+    buildModelsRequest(apiKey) {
+      return buildChatCompletionsModelsRequest('https://api.openai.com/v1/models', apiKey);
+    },
+    parseModels(data) {
+      // The list also has image, audio and embedding models that cannot answer chat requests
+      return parseChatCompletionsModels(data, /embedding|whisper|tts|dall-e|moderation|davinci|babbage|audio|realtime|transcribe|image|search/);
+    }
+  },
+
+  groq: {
+    name: 'Groq',
+    storageKey: 'groqApiKey',
+    settingsKeys: {
+      model: 'groqModel',
+      checkModel: 'groqCheckModel'
+    },
+    defaultModel: 'llama-3.1-8b-instant',
+    rateLimit: { maxConcurrent: 2, requestsPerMinute: 30 },
+    buildRequest(prompt, apiKey, model, settings, responseSchema) {
+      // Most Groq models only support JSON mode, not strict schemas
+      return buildChatCompletionsRequest('https://api.groq.com/openai/v1/chat/completions', prompt, apiKey, model, responseSchema, 'json_object');
+    },
+    parseResponse: parseChatCompletionsResponse,
+    parseUsage: parseChatCompletionsUsage,
+    buildStreamRequest(prompt, apiKey, model, settings, responseSchema) {
+      return buildStreamingBodyRequest(this, prompt, apiKey, model, settings, responseSchema);
+    },
+    parseStreamChunk: parseChatCompletionsStreamChunk,
+    parseStreamUsage: parseChatCompletionsUsage,
+    buildModelsRequest(apiKey) {
+      return buildChatCompletionsModelsRequest('https://api.groq.com/openai/v1/models', apiKey);
+    },
+    parseModels(data) {
+      return parseChatCompletionsModels(data, /whisper|tts|guard/);
+    }
+  },
+
+  custom: {
+    name: 'Custom endpoint',
+    storageKey: 'customApiKey',
+    // The bearer token is optional for self-hosted servers, but a base URL and model are required
+    requiresApiKey: false,
+    settingsKeys: {
+      baseUrl: 'customBaseUrl',
+      model: 'customModel',
+      checkModel: 'customCheckModel'
+    },
+    defaultModel: '',
+    // Self-hosted servers usually handle one generation at a time
+    rateLimit: { maxConcurrent: 1, requestsPerMinute: 600 },
+    buildRequest(prompt, apiKey, model, settings = {}, responseSchema) {
+      // llama.cpp, vLLM and Ollama accept json_schema response formats
+      return buildChatCompletionsRequest(getChatCompletionsUrl(settings.baseUrl), prompt, apiKey, model, responseSchema);
+    },
+    parseResponse: parseChatCompletionsResponse,
+    parseUsage: parseChatCompletionsUsage,
+    buildStreamRequest(prompt, apiKey, model, settings, responseSchema) {
+      return buildStreamingBodyRequest(this, prompt, apiKey, model, settings, responseSchema);
+    },
+    parseStreamChunk: parseChatCompletionsStreamChunk,
+    parseStreamUsage: parseChatCompletionsUsage,
+    buildModelsRequest(apiKey, settings = {}) {
+      return buildChatCompletionsModelsRequest(getModelsUrl(settings.baseUrl), apiKey);
+    },
+    parseModels(data) {
+      return parseChatCompletionsModels(data);
+    }
+  },
+
+  // Answers from recorded responses instead of a request, for working offline (see mockProvider.js)
+  // It needs no key and has no models, its settings shape the replies
+  mock: {
+    name: 'Mock (recorded responses)',
+    mock: true,
+    requiresApiKey: false,
+    settingsKeys: {
+      latency: 'mockLatency',
+      errorMode: 'mockErrorMode',
+      errorEvery: 'mockErrorEvery'
+    },
+    defaultModel: 'recorded',
+    rateLimit: { maxConcurrent: 4, requestsPerMinute: 600 }
+  }
+};
+
+// Tasks that can each use their own model, with the provider setting that holds it
+// The rewrite model is the provider's main model, underline checks use it too unless a faster one is picked
+const MODEL_TASKS = {
+  check: 'checkModel',
+  rewrite: 'model'
+};
+
+// Model a provider uses for a task, from its settings or its default
+function getTaskModel(providerId, settings = {}, task = 'rewrite') {
+  return settings[MODEL_TASKS[task]] || settings.model || getProvider(providerId).defaultModel;
+}
+
+// Look up a provider by id, falling back to the default provider for unknown ids
+function getProvider(providerId) {
+  return PROVIDERS[providerId] || PROVIDERS[DEFAULT_PROVIDER_ID];
+}
+
+// Storage keys of the API key store, the fallback list and every provider's settings, used when loading settings
+function getProviderStorageKeys() {
+  const keys = [API_KEY_STORE_KEY, FALLBACK_PROVIDERS_KEY];
+  Object.values(PROVIDERS).forEach(provider => {
+    if (provider.settingsKeys) {
+      keys.push(...Object.values(provider.settingsKeys));
+    }
+  });
+  return keys;
+}
+
+// Read a provider's settings (base URL, model...) out of a storage result
+function getProviderSettingsFromStorage(providerId, storageResult) {
+  const provider = getProvider(providerId);
+  const settings = {};
+  if (provider.settingsKeys && storageResult) {
+    Object.entries(provider.settingsKeys).forEach(([name, storageKey]) => {
+      if (storageResult[storageKey]) {
+        settings[name] = storageResult[storageKey];
+      }
+    });
+  }
+  return settings;
+}
+
+// Whether a provider has everything it needs to send requests
+function isProviderConfigured(providerId, apiKey, settings = {}) {
+  const provider = getProvider(providerId);
+  if (provider.mock) {
+    return true;
+  }
+  if (provider.requiresApiKey === false) {
+    return !!(settings.baseUrl && (settings.model || provider.defaultModel));
+  }
+  return !!apiKey;
+}
+
+// Expose to global scope (self is window in pages and the global object in background.js)
+self.PROVIDERS = PROVIDERS;
+self.DEFAULT_PROVIDER_ID = DEFAULT_PROVIDER_ID;
+self.API_KEY_STORE_KEY = API_KEY_STORE_KEY;
+self.FALLBACK_PROVIDERS_KEY = FALLBACK_PROVIDERS_KEY;
+self.MOCK_RECORDING_KEY = MOCK_RECORDING_KEY;
+self.OFFLINE_RULES_FALLBACK = OFFLINE_RULES_FALLBACK;
+self.MODEL_TASKS = MODEL_TASKS;
+self.getProvider = getProvider;
+self.getPromptParts = getPromptParts;
+self.getTaskModel = getTaskModel;
+self.getProviderStorageKeys = getProviderStorageKeys;
+self.getProviderSettingsFromStorage = getProviderSettingsFromStorage;
+self.isProviderConfigured = isProviderConfigured;
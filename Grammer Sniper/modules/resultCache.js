@@ -0,0 +1,135 @@
+/**
+ * @copyright This code belongs to Solo Hunters Open Source Community
+ */
+
+// Persistent result cache for the background service worker
+// Analyses and LanguageTool results are kept in the extension's IndexedDB, which every tab shares
+// and which outlives the service worker, so re-opening a draft costs no request. An entry is found
+// by a hash of the text and of everything that shapes its result: the provider, the model, the
+// prompt and its variables, or the LanguageTool server and language.
+
+const RESULT_CACHE_DATABASE_NAME = 'grammar-sniper-results';
+const RESULT_CACHE_STORE = 'results';
+// Past this many entries the least recently used ones are removed
+const RESULT_CACHE_MAX_ENTRIES = 500;
+// Entries older than a week are not used, models and rules change
+const RESULT_CACHE_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Entries: {key, value, savedAt, lastUsed}, with an index on lastUsed for the eviction
+function openResultCacheDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(RESULT_CACHE_DATABASE_NAME, 1);
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore(RESULT_CACHE_STORE, { keyPath: 'key' });
+      store.createIndex('lastUsed', 'lastUsed');
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Run one request against the result store and resolve with its result
+async function runResultCacheRequest(mode, makeRequest) {
+  const database = await openResultCacheDatabase();
+  try {
+    return await new Promise((resolve, reject) => {
+      const request = makeRequest(database.transaction(RESULT_CACHE_STORE, mode).objectStore(RESULT_CACHE_STORE));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  } finally {
+    database.close();
+  }
+}
+
+// Whitespace typed at the end of a draft changes no result, and removing it moves no offset
+function normalizeCacheText(text) {
+  return text.replace(/\s+$/u, '');
+}
+
+// SHA-256 of the key parts, so the stored keys do not hold the user's text
+async function hashCacheKey(parts) {
+  const normalized = { ...parts, text: normalizeCacheText(parts.text) };
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(JSON.stringify(normalized)));
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// The stored result for the key parts {type, text, ...}, or null
+// A failing database only costs the request it would have saved
+async function getCachedResult(parts) {
+  try {
+    const key = await hashCacheKey(parts);
+    const entry = await runResultCacheRequest('readonly', store => store.get(key));
+    if (!entry) {
+      return null;
+    }
+    if (Date.now() - entry.savedAt > RESULT_CACHE_MAX_AGE_MS) {
+      await runResultCacheRequest('readwrite', store => store.delete(key));
+      return null;
+    }
+    await runResultCacheRequest('readwrite', store => store.put({ ...entry, lastUsed: Date.now() }));
+    console.log(`Using saved ${parts.type} result`);
+    return entry.value;
+  } catch (error) {
+    console.warn('Could not read the result cache:', error);
+    return null;
+  }
+}
+
+// Remove expired entries and the least recently used ones past the size limit
+async function pruneResultCache() {
+  const database = await openResultCacheDatabase();
+  try {
+    await new Promise((resolve, reject) => {
+      const transaction = database.transaction(RESULT_CACHE_STORE, 'readwrite');
+      const store = transaction.objectStore(RESULT_CACHE_STORE);
+      const oldest = Date.now() - RESULT_CACHE_MAX_AGE_MS;
+      const countRequest = store.count();
+      countRequest.onsuccess = () => {
+        let excess = countRequest.result - RESULT_CACHE_MAX_ENTRIES;
+        // Least recently used first, an entry unused for the whole age limit is expired too
+        const cursorRequest = store.index('lastUsed').openCursor();
+        cursorRequest.onsuccess = () => {
+          const cursor = cursorRequest.result;
+          if (!cursor || (excess <= 0 && cursor.value.lastUsed >= oldest)) {
+            return;
+          }
+          cursor.delete();
+          excess--;
+          cursor.continue();
+        };
+      };
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  } finally {
+    database.close();
+  }
+}
+
+// Save a result under the key parts, see getCachedResult
+async function setCachedResult(parts, value) {
+  try {
+    const key = await hashCacheKey(parts);
+    const now = Date.now();
+    await runResultCacheRequest('readwrite', store => store.put({ key, value, savedAt: now, lastUsed: now }));
+    await pruneResultCache();
+  } catch (error) {
+    console.warn('Could not save to the result cache:', error);
+  }
+}
+
+// What the popup shows next to its clear button: {entries}
+async function getResultCacheStatus() {
+  return { entries: await runResultCacheRequest('readonly', store => store.count()) };
+}
+
+function clearResultCache() {
+  return runResultCacheRequest('readwrite', store => store.clear());
+}
+
+// Expose to global scope
+self.getCachedResult = getCachedResult;
+self.setCachedResult = setCachedResult;
+self.getResultCacheStatus = getResultCacheStatus;
+self.clearResultCache = clearResultCache;
@@ -0,0 +1,378 @@
+/**
+ * @copyright This code belongs to Solo Hunters Open Source Community
+ */
+
+// Offline rule-based grammar engine
+// Deterministic checks that run without network access or an API key.
+// Produces the same {error, suggestion, type, startPos, endPos} objects the
+// highlighting code renders, so it can be used alone or merged with other backends.
+
+// Repeated words that are grammatical when doubled ("I had had enough", "I know that that is true")
+const ALLOWED_REPEATED_WORDS = ['had', 'that', 'is', 'do', 'can', 'bye', 'no', 'very', 'so', 'ha', 'now'];
+
+// Abbreviations after which the next word is not a new sentence ("5 p.m. tomorrow"), lowercase and
+// without their last period. segmenter.js finds sentence ends with the same list
+const NON_TERMINAL_ABBREVIATIONS = [
+  'e.g', 'i.e', 'etc', 'vs', 'mr', 'mrs', 'ms', 'dr', 'prof', 'sr', 'jr', 'st',
+  'approx', 'no', 'fig', 'cf', 'al', 'inc', 'ltd', 'co', 'dept', 'est', 'misc',
+  'mt', 'corp', 'nos', 'vol', 'p', 'pp', 'ref',
+  'jan', 'feb', 'mar', 'apr', 'jun', 'jul', 'aug', 'sep', 'sept', 'oct', 'nov', 'dec',
+  'mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun', 'a.m', 'p.m', 'u.s', 'u.k', 'ph.d'
+];
+
+// Words starting with a consonant letter but a vowel sound ("an hour")
+const AN_WORD_PATTERN = /^(hour|honest|honou?r|heir)/i;
+// Words starting with a vowel letter but a consonant sound ("a university", "a one-off")
+const A_WORD_PATTERN = /^(uni(?![mnd])|unan|us(?:e|u|ur)|ut(?:e|i|o)|eu|ewe|ubiq|ura|uri|uro|ukr|uvu|one(?:[-\s]|$)|once$)/i;
+
+// Commonly confused words: the first capture group is the word to replace
+const CONFUSABLE_RULES = [
+  {
+    id: 'THEN_THAN',
+    pattern: /\b(?:more|less|better|worse|rather|other|fewer|greater|larger|smaller|bigger|higher|lower|faster|slower|older|younger|longer|shorter|easier|harder|earlier|later)\s+(then)\b/gid,
+    replacement: 'than',
+    message: 'Use "than" for comparisons.'
+  },
+  {
+    id: 'THAN_THEN',
+    pattern: /\b(?:and|since|until|back|just)\s+(than)\b/gid,
+    replacement: 'then',
+    message: 'Use "then" when referring to time or sequence.'
+  },
+  // An adjective only counts when the clause ends after it: "its important to", but not the possessive
+  // "its important role" or "its also famous garden"
+  {
+    id: 'ITS_IT_IS',
+    pattern: /\b(its)\s+(?:(?:a|an|the|not|been|going|gonna|my|your|our)\b|(?:(?:so|too|really|also|very)\s+)?(?:important|possible|okay|true|hard|easy|clear|likely)(?=\s*(?:[.,!?;:]|$)|\s+(?:to|that|if|for)\b))/gid,
+    replacement: 'it\'s',
+    message: '"It\'s" is short for "it is" or "it has".'
+  },
+  {
+    id: 'IT_IS_OWN',
+    pattern: /\b(it['’]s)\s+own\b/gid,
+    replacement: 'its',
+    message: 'Use the possessive "its" without an apostrophe.'
+  },
+  {
+    id: 'THEIR_THERE',
+    pattern: /\b(their)\s+(?:is|are|was|were|will\s+be|has\s+been|have\s+been)\b/gid,
+    replacement: 'there',
+    message: 'Use "there" to say that something exists.'
+  },
+  {
+    id: 'THERE_THEIR',
+    pattern: /\b(there|they['’]re)\s+own\b/gid,
+    replacement: 'their',
+    message: 'Use the possessive "their".'
+  },
+  {
+    id: 'THEIR_THEY_ARE',
+    pattern: /\b(their)\s+(?:going|coming|doing|not|being|gonna)\b/gid,
+    replacement: 'they\'re',
+    message: '"They\'re" is short for "they are".'
+  },
+  // Not before "a", "the" or a gerund, which are often right ("your being here"), and an adjective
+  // only counts when the clause ends after it: "I think your right.", but not "your right hand"
+  {
+    id: 'YOUR_YOU_ARE',
+    pattern: /\b(your)\s+(?:(?:gonna|not)\b|(?:going|trying|getting)\s+to\b|(?:(?:so|too|very|really|probably|always|never)\s+)?(?:welcome|right|wrong|kidding|joking|sure|correct|late|done)(?=\s*(?:[.,!?;:]|$)|\s+(?:to|that|about|for)\b))/gid,
+    replacement: 'you\'re',
+    message: '"You\'re" is short for "you are".'
+  },
+  {
+    id: 'MODAL_OF',
+    pattern: /\b(?:could|should|would|must|might)\s+(of)\b/gid,
+    replacement: 'have',
+    message: 'Use "have" after could, should, would, must or might.'
+  },
+  {
+    id: 'ALOT',
+    pattern: /\b(alot)\b/gid,
+    replacement: 'a lot',
+    message: '"A lot" is written as two words.'
+  }
+];
+
+// Copy the capitalization of the original word onto its replacement
+function matchCase(original, replacement) {
+  if (original.length > 1 && original === original.toUpperCase()) {
+    return replacement.toUpperCase();
+  }
+  if (original[0] === original[0].toUpperCase() && original[0] !== original[0].toLowerCase()) {
+    return replacement.charAt(0).toUpperCase() + replacement.slice(1);
+  }
+  return replacement;
+}
+
+// Build an error object in the format used by applyGrammarHighlighting
+function createRuleError(text, startPos, endPos, suggestion, type, ruleId, message) {
+  return {
+    error: text.substring(startPos, endPos),
+    suggestion,
+    type,
+    message,
+    ruleId,
+    startPos,
+    endPos
+  };
+}
+
+// Whether a sentence-ending period at this position belongs to an abbreviation or initial
+function isAbbreviationBefore(text, periodIndex) {
+  const before = text.substring(0, periodIndex);
+  const lastToken = before.split(/\s/).pop().toLowerCase().replace(/^[("'\[]+/, '');
+  if (!lastToken) {
+    return false;
+  }
+  // Single letters are initials ("J. Smith")
+  if (/^[a-z]$/.test(lastToken)) {
+    return true;
+  }
+  return NON_TERMINAL_ABBREVIATIONS.includes(lastToken);
+}
+
+// "the the" -> "the"
+function findRepeatedWords(text) {
+  const errors = [];
+  const pattern = /\b([A-Za-z]+)(\s+)(\1)\b/gi;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    const word = match[1];
+    if (ALLOWED_REPEATED_WORDS.includes(word.toLowerCase())) {
+      continue;
+    }
+    // The words must match ignoring case only ("The the", not "The They")
+    if (word.toLowerCase() !== match[3].toLowerCase()) {
+      continue;
+    }
+    errors.push(createRuleError(text, match.index, match.index + match[0].length, word,
+      'grammar', 'REPEATED_WORD', `The word "${word}" is repeated.`));
+  }
+  return errors;
+}
+
+// their/there, its/it's, then/than...
+function findConfusedWords(text) {
+  const errors = [];
+  CONFUSABLE_RULES.forEach(rule => {
+    rule.pattern.lastIndex = 0;
+    let match;
+    while ((match = rule.pattern.exec(text)) !== null) {
+      const [startPos, endPos] = match.indices[1];
+      const original = text.substring(startPos, endPos);
+      errors.push(createRuleError(text, startPos, endPos, matchCase(original, rule.replacement),
+        'word choice', rule.id, rule.message));
+    }
+  });
+  return errors;
+}
+
+// "a apple" -> "an apple", "an car" -> "a car"
+function findArticleAgreement(text) {
+  const errors = [];
+  const pattern = /\b(a|an|A|An)\s+([A-Za-z][A-Za-z'-]*)/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    const article = match[1];
+    const word = match[2];
+    const articleStart = match.index;
+
+    // Capitalized articles are only checked at the start of a sentence ("Plan A is...")
+    if (article[0] === 'A' && !isSentenceStart(text, articleStart)) {
+      continue;
+    }
+    // Skip acronyms, their pronunciation can't be derived from the spelling
+    if (word.length > 1 && word === word.toUpperCase()) {
+      continue;
+    }
+
+    const startsWithVowel = /^[aeiou]/i.test(word);
+    let needsAn;
+    if (AN_WORD_PATTERN.test(word)) {
+      needsAn = true;
+    } else if (A_WORD_PATTERN.test(word)) {
+      needsAn = false;
+    } else if (/^h/i.test(word)) {
+      // "an historic" is accepted in British English, so h-words are left alone
+      continue;
+    } else {
+      needsAn = startsWithVowel;
+    }
+
+    const isAn = article.toLowerCase() === 'an';
+    if (needsAn !== isAn) {
+      const replacement = matchCase(article, needsAn ? 'an' : 'a');
+      errors.push(createRuleError(text, articleStart, articleStart + article.length, replacement,
+        'grammar', 'A_AN', `Use "${replacement.toLowerCase()}" before "${word}".`));
+    }
+  }
+  return errors;
+}
+
+// Whether a position is the first word of a sentence
+function isSentenceStart(text, position) {
+  const before = text.substring(0, position);
+  if (before.trim() === '') {
+    return true;
+  }
+  const terminal = before.match(/([.!?])["')\]]*\s+$/);
+  if (!terminal) {
+    return false;
+  }
+  const periodIndex = before.lastIndexOf(terminal[1]);
+  return !(terminal[1] === '.' && isAbbreviationBefore(text, periodIndex));
+}
+
+// "i think" -> "I think"
+function findLowercaseI(text) {
+  const errors = [];
+  const pattern = /\bi\b/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    const previousChar = text[match.index - 1] || '';
+    const nextChars = text.substring(match.index + 1, match.index + 3);
+    // Skip "i.e.", file names, variables and list markers like "i)"
+    if (/^\.\w/.test(nextChars) || /^[)\]]/.test(nextChars) || /[.\/\\_@-]/.test(previousChar)) {
+      continue;
+    }
+    errors.push(createRuleError(text, match.index, match.index + 1, 'I',
+      'grammar', 'LOWERCASE_I', 'The pronoun "I" is always capitalized.'));
+  }
+  return errors;
+}
+
+// "hello. how are you" -> "hello. How are you"
+function findSentenceCapitalization(text) {
+  const errors = [];
+  const pattern = /(^\s*|[.!?]["')\]]*\s+)([a-z][A-Za-z'-]*)/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    const word = match[2];
+    const wordStart = match.index + match[1].length;
+
+    // The lowercase "i" rule already covers this word
+    if (word === 'i' || /^i['’]/.test(word)) {
+      continue;
+    }
+    // Brand names and identifiers such as "iPhone" or "eBay"
+    if (/[A-Z]/.test(word)) {
+      continue;
+    }
+    // URLs, emails and file names continue after the period
+    const tokenEnd = text.substring(wordStart).search(/\s|$/);
+    const token = text.substring(wordStart, wordStart + tokenEnd);
+    if (/[@\/\\_]|\.\w/.test(token)) {
+      continue;
+    }
+    if (match[1].trim() !== '') {
+      const punctuation = match[1].trim()[0];
+      const periodIndex = match.index + match[1].indexOf(punctuation);
+      // Ellipses and abbreviations usually continue the same sentence
+      if (punctuation === '.' && (text[periodIndex - 1] === '.' || isAbbreviationBefore(text, periodIndex))) {
+        continue;
+      }
+    }
+
+    errors.push(createRuleError(text, wordStart, wordStart + word.length,
+      word.charAt(0).toUpperCase() + word.slice(1),
+      'grammar', 'SENTENCE_CAPITALIZATION', 'Start a sentence with a capital letter.'));
+  }
+  return errors;
+}
+
+// "two  spaces" -> "two spaces"
+function findDoubleSpaces(text) {
+  const errors = [];
+  const pattern = /\S( {2,})(?=\S)/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    const startPos = match.index + 1;
+    errors.push(createRuleError(text, startPos, startPos + match[1].length, ' ',
+      'punctuation', 'DOUBLE_SPACE', 'Use a single space between words.'));
+  }
+  return errors;
+}
+
+// "This is the end" -> "This is the end."
+function findMissingEndPunctuation(text) {
+  const trimmed = text.replace(/\s+$/, '');
+  // Only full sentences, short fragments like subjects or names are left alone
+  if (trimmed.split(/\s+/).length < 4 || !/[A-Za-z0-9]$/.test(trimmed)) {
+    return [];
+  }
+  const lastWordMatch = trimmed.match(/\S+$/);
+  if (!lastWordMatch) {
+    return [];
+  }
+  const startPos = lastWordMatch.index;
+  return [createRuleError(text, startPos, trimmed.length, `${lastWordMatch[0]}.`,
+    'punctuation', 'MISSING_END_PUNCTUATION', 'End the sentence with a punctuation mark.')];
+}
+
+// Remove errors that overlap an earlier one, keeping the first reported
+function removeOverlappingErrors(errors) {
+  const accepted = [];
+  errors.forEach(error => {
+    const overlapping = accepted.find(other => error.startPos < other.endPos && other.startPos < error.endPos);
+    if (overlapping) {
+      // Keep the capital letter when another rule already replaces the first word of a sentence
+      if (error.ruleId === 'SENTENCE_CAPITALIZATION' && overlapping.startPos === error.startPos) {
+        overlapping.suggestion = overlapping.suggestion.charAt(0).toUpperCase() + overlapping.suggestion.slice(1);
+      }
+    } else {
+      accepted.push(error);
+    }
+  });
+  return accepted.sort((a, b) => a.startPos - b.startPos);
+}
+
+// Run every offline rule and return the errors found
+function checkWithRules(text) {
+  if (!text || typeof text !== 'string') {
+    return [];
+  }
+
+  try {
+    // Rules earlier in this list win when two errors overlap
+    const errors = [
+      ...findRepeatedWords(text),
+      ...findConfusedWords(text),
+      ...findArticleAgreement(text),
+      ...findLowercaseI(text),
+      ...findSentenceCapitalization(text),
+      ...findDoubleSpaces(text),
+      ...findMissingEndPunctuation(text)
+    ];
+    return removeOverlappingErrors(errors);
+  } catch (error) {
+    console.error('Error running offline grammar rules:', error);
+    return [];
+  }
+}
+
+// Add offline rule errors that don't overlap any error from another backend
+function mergeRuleErrors(errors, ruleErrors) {
+  const merged = [...errors];
+  ruleErrors.forEach(ruleError => {
+    const overlaps = errors.some(error => ruleError.startPos < error.endPos && error.startPos < ruleError.endPos);
+    if (!overlaps) {
+      merged.push(ruleError);
+    }
+  });
+  return merged.sort((a, b) => a.startPos - b.startPos);
+}
+
+// Apply every rule suggestion to the text, e.g. for the logo popup without an API key
+function applyRuleCorrections(text, errors = checkWithRules(text)) {
+  let corrected = text;
+  // Apply from the end so earlier positions stay valid
+  [...errors].sort((a, b) => b.startPos - a.startPos).forEach(error => {
+    corrected = corrected.substring(0, error.startPos) + error.suggestion + corrected.substring(error.endPos);
+  });
+  return corrected;
+}
+
+// Expose to global scope
+self.checkWithRules = checkWithRules;
+self.mergeRuleErrors = mergeRuleErrors;
+self.applyRuleCorrections = applyRuleCorrections;
@@ -0,0 +1,196 @@
+/**
+ * @copyright This code belongs to Solo Hunters Open Source Community
+ */
+
+// Request scheduler that every API call goes through
+// Keeps each provider under its concurrency and requests-per-minute limits,
+// backs off on 429/503 and lets interactive requests jump ahead of background checks
+
+// Lower numbers run first
+const REQUEST_PRIORITY = {
+  INTERACTIVE: 0,
+  BACKGROUND: 1
+};
+
+// Used for services without a rateLimit entry in PROVIDERS (e.g. LanguageTool)
+const DEFAULT_RATE_LIMIT = {
+  maxConcurrent: 2,
+  requestsPerMinute: 20
+};
+
+const RETRYABLE_STATUSES = [429, 503];
+const MAX_RETRIES = 4;
+const BACKOFF_BASE_MS = 1000;
+const BACKOFF_MAX_MS = 60000;
+const RATE_WINDOW_MS = 60000;
+
+// Scheduler state per provider: {queue, active, startTimes, pausedUntil, timer}
+const schedulerStates = {};
+let jobSequence = 0;
+
+function getRateLimit(serviceId) {
+  const provider = typeof PROVIDERS !== 'undefined' ? PROVIDERS[serviceId] : null;
+  return (provider && provider.rateLimit) || DEFAULT_RATE_LIMIT;
+}
+
+function getSchedulerState(serviceId) {
+  if (!schedulerStates[serviceId]) {
+    schedulerStates[serviceId] = {
+      queue: [],
+      active: 0,
+      startTimes: [],
+      pausedUntil: 0,
+      timer: null
+    };
+  }
+  return schedulerStates[serviceId];
+}
+
+// Retry-After is either a number of seconds or an HTTP date, returns milliseconds or null
+function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+  const seconds = Number(value);
+  if (!isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Exponential backoff with jitter, so tabs that were limited together do not retry together
+function getBackoffDelay(attempt) {
+  const delay = BACKOFF_BASE_MS * Math.pow(2, attempt) + Math.random() * BACKOFF_BASE_MS;
+  return Math.min(delay, BACKOFF_MAX_MS);
+}
+
+// Start as many queued jobs as the limits allow, or wait until the next one may start
+function pumpQueue(serviceId) {
+  const state = getSchedulerState(serviceId);
+  const limit = getRateLimit(serviceId);
+
+  if (state.timer) {
+    clearTimeout(state.timer);
+    state.timer = null;
+  }
+
+  // Jobs whose caller gave up never take a slot
+  state.queue = state.queue.filter(job => {
+    if (job.ticket.signal && job.ticket.signal.aborted) {
+      job.reject(job.ticket.signal.reason);
+      return false;
+    }
+    return true;
+  });
+
+  // The ticket's priority can be raised while the job waits, so sort on every pump
+  state.queue.sort((a, b) => a.ticket.priority - b.ticket.priority || a.sequence - b.sequence);
+
+  while (state.queue.length > 0) {
+    const now = Date.now();
+    state.startTimes = state.startTimes.filter(time => now - time < RATE_WINDOW_MS);
+
+    let waitMs = 0;
+    if (state.pausedUntil > now) {
+      waitMs = state.pausedUntil - now;
+    } else if (state.startTimes.length >= limit.requestsPerMinute) {
+      waitMs = state.startTimes[0] + RATE_WINDOW_MS - now;
+    }
+
+    if (waitMs > 0) {
+      state.timer = setTimeout(() => pumpQueue(serviceId), waitMs);
+      return;
+    }
+    if (state.active >= limit.maxConcurrent) {
+      // A finishing job pumps the queue again
+      return;
+    }
+
+    runJob(serviceId, state.queue.shift());
+  }
+}
+
+async function runJob(serviceId, job) {
+  const state = getSchedulerState(serviceId);
+  state.active++;
+  state.startTimes.push(Date.now());
+
+  try {
+    job.resolve(await job.task(job.attempt));
+  } catch (error) {
+    const maxRetries = job.ticket.maxRetries !== undefined ? job.ticket.maxRetries : MAX_RETRIES;
+    const aborted = job.ticket.signal && job.ticket.signal.aborted;
+    if (!aborted && RETRYABLE_STATUSES.includes(error.status) && job.attempt < maxRetries) {
+      const delay = error.retryAfter !== undefined && error.retryAfter !== null
+        ? error.retryAfter
+        : getBackoffDelay(job.attempt);
+      console.warn(`${serviceId} responded with ${error.status}, retrying in ${Math.ceil(delay / 1000)}s`);
+
+      // The quota is shared, so the whole provider waits, not just this job
+      state.pausedUntil = Math.max(state.pausedUntil, Date.now() + delay);
+      job.attempt++;
+      state.queue.push(job);
+    } else {
+      job.reject(error);
+    }
+  } finally {
+    state.active--;
+    pumpQueue(serviceId);
+  }
+}
+
+// Queue task(attempt) for the service and resolve with its result
+// The task should throw errors with a status (and retryAfter in ms) for HTTP failures
+// ticket.priority (see REQUEST_PRIORITY) may be raised while the job is still queued,
+// ticket.maxRetries replaces MAX_RETRIES for callers that want to see a 429 right away
+// ticket.signal (an AbortSignal) drops the job while it is queued, the task passes it on to fetch
+function scheduleRequest(serviceId, task, ticket = { priority: REQUEST_PRIORITY.BACKGROUND }) {
+  return new Promise((resolve, reject) => {
+    const state = getSchedulerState(serviceId);
+    if (ticket.signal) {
+      ticket.signal.addEventListener('abort', () => pumpQueue(serviceId), { once: true });
+    }
+    state.queue.push({
+      task,
+      ticket,
+      attempt: 0,
+      sequence: jobSequence++,
+      resolve,
+      reject
+    });
+    pumpQueue(serviceId);
+  });
+}
+
+// Raise the priority of a job that may still be queued, e.g. when a logo click
+// asks for the same analysis a background check already requested
+function raiseRequestPriority(ticket, priority) {
+  if (priority < ticket.priority) {
+    ticket.priority = priority;
+    Object.keys(schedulerStates).forEach(pumpQueue);
+  }
+}
+
+// Signal for a request's fetch: its timeout, and the ticket's signal when the caller can cancel it
+function getRequestSignal(ticket, timeoutMs) {
+  const timeout = AbortSignal.timeout(timeoutMs);
+  return ticket && ticket.signal ? AbortSignal.any([timeout, ticket.signal]) : timeout;
+}
+
+// Build the error the scheduler retries on from a failed HTTP response
+async function createHttpError(response, label = 'HTTP error!') {
+  const errorText = await response.text();
+  const error = new Error(`${label} status: ${response.status}, message: ${errorText}`);
+  error.status = response.status;
+  error.retryAfter = parseRetryAfter(response.headers.get('Retry-After'));
+  return error;
+}
+
+// Expose to global scope
+self.REQUEST_PRIORITY = REQUEST_PRIORITY;
+self.scheduleRequest = scheduleRequest;
+self.raiseRequestPriority = raiseRequestPriority;
+self.getRequestSignal = getRequestSignal;
+self.createHttpError = createHttpError;
+self.parseRetryAfter = parseRetryAfter;
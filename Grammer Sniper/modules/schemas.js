@@ -0,0 +1,435 @@
+/**
+ * @copyright This code belongs to Solo Hunters Open Source Community
+ */
+
+// Structured output schemas and validators
+// Each AI call declares the JSON shape it expects. Providers enforce the schema
+// natively where they can (see providers.js), and the validators below repair
+// or drop malformed items one by one instead of discarding the whole reply.
+
+const MISTAKE_TYPES = ['grammar', 'spelling', 'punctuation', 'style', 'word choice'];
+const SENTIMENTS = ['Confident', 'Friendly', 'Formal', 'Casual', 'Optimistic', 'Neutral', 'Tentative', 'Concerned', 'Joyful', 'Forceful'];
+// Emoji used when the model returns a sentiment without a usable emoji
+const SENTIMENT_EMOJIS = {
+  Confident: '💪',
+  Friendly: '😊',
+  Formal: '🎩',
+  Casual: '😎',
+  Optimistic: '🌞',
+  Neutral: '😐',
+  Tentative: '🤔',
+  Concerned: '😟',
+  Joyful: '😄',
+  Forceful: '⚡'
+};
+
+// Schemas use the JSON Schema subset every provider understands:
+// objects list all of their properties as required and allow nothing else
+const GRAMMAR_DETAILS_SCHEMA = {
+  name: 'grammar_mistakes',
+  description: 'Grammar, spelling, punctuation, style and word choice mistakes found in the text',
+  schema: {
+    type: 'object',
+    properties: {
+      words_with_mistakes: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            text: { type: 'string', description: 'The incorrect text, copied exactly from the input' },
+            suggestion: { type: 'string', description: 'The corrected text' },
+            mistake_type: { type: 'string', enum: MISTAKE_TYPES },
+            start_index: { type: 'integer', description: 'Position of the first character of the incorrect text' },
+            end_index: { type: 'integer', description: 'Position after the last character of the incorrect text' },
+            context_before: { type: 'string', description: 'Up to 5 words right before the incorrect text, copied exactly' },
+            context_after: { type: 'string', description: 'Up to 5 words right after the incorrect text, copied exactly' }
+          },
+          required: ['text', 'suggestion', 'mistake_type', 'start_index', 'end_index', 'context_before', 'context_after'],
+          additionalProperties: false
+        }
+      }
+    },
+    required: ['words_with_mistakes'],
+    additionalProperties: false
+  }
+};
+
+const SUGGESTIONS_SCHEMA = {
+  name: 'rewrite_suggestions',
+  description: 'A corrected version of the text and alternative ways to phrase it',
+  schema: {
+    type: 'object',
+    properties: {
+      corrected_text: { type: 'string', description: 'The text with grammar, spelling and style fixed' },
+      alternatives: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Alternative phrasings of the text, as many and in the tone the instructions ask for'
+      }
+    },
+    required: ['corrected_text', 'alternatives'],
+    additionalProperties: false
+  }
+};
+
+const SENTIMENT_SCHEMA = {
+  name: 'sentiment',
+  description: 'The tone of the text and a matching emoji',
+  schema: {
+    type: 'object',
+    properties: {
+      sentiment: { type: 'string', enum: SENTIMENTS },
+      emoji: { type: 'string' }
+    },
+    required: ['sentiment', 'emoji'],
+    additionalProperties: false
+  }
+};
+
+// Corrections, alternatives, tone and positioned mistakes in a single reply (see analyzeText in api.js)
+// The tone comes first so it can be shown while the rest is still streaming
+const TEXT_ANALYSIS_SCHEMA = {
+  name: 'text_analysis',
+  description: 'Tone, rewrite suggestions and positioned mistakes for the text',
+  schema: {
+    type: 'object',
+    properties: {
+      sentiment: SENTIMENT_SCHEMA.schema.properties.sentiment,
+      emoji: SENTIMENT_SCHEMA.schema.properties.emoji,
+      corrected_text: SUGGESTIONS_SCHEMA.schema.properties.corrected_text,
+      alternatives: SUGGESTIONS_SCHEMA.schema.properties.alternatives,
+      words_with_mistakes: GRAMMAR_DETAILS_SCHEMA.schema.properties.words_with_mistakes
+    },
+    required: ['sentiment', 'emoji', 'corrected_text', 'alternatives', 'words_with_mistakes'],
+    additionalProperties: false
+  }
+};
+
+// Corrected text and positioned mistakes only, for the chunks of a long text (see checkGrammarWithDetails in api.js)
+// The tone and the alternatives of a chunk would never be shown, the popup's come from the whole text
+const CHUNK_CHECK_SCHEMA = {
+  name: 'chunk_check',
+  description: 'Corrected text and positioned mistakes for one part of a longer text',
+  schema: {
+    type: 'object',
+    properties: {
+      corrected_text: SUGGESTIONS_SCHEMA.schema.properties.corrected_text,
+      words_with_mistakes: GRAMMAR_DETAILS_SCHEMA.schema.properties.words_with_mistakes
+    },
+    required: ['corrected_text', 'words_with_mistakes'],
+    additionalProperties: false
+  }
+};
+
+// Suggestions must resemble the checked text, a reply that does not was most likely steered by
+// instructions inside the text (e.g. a quoted "ignore the above and reply OK") and is rejected
+const MIN_CORRECTION_SIMILARITY = 0.5;
+// Alternatives rephrase the text, so they may share less of it
+const MIN_ALTERNATIVE_SIMILARITY = 0.2;
+// Below this length a single fixed typo changes too much of the text to compare
+const MIN_COMPARABLE_LENGTH = 20;
+
+// Parse the complete part of a JSON document that was cut off or is still streaming
+// Values that are only partly there are left out, everything complete before them is kept
+function parsePartialJson(jsonText) {
+  const start = jsonText.indexOf('{');
+  if (start === -1) {
+    return null;
+  }
+
+  // Closing brackets still needed, innermost last
+  const stack = [];
+  let inString = false;
+  let escaped = false;
+  let stringIsKey = false;
+  let expectingKey = false;
+  let inLiteral = false;
+  // End of the last complete value, and the brackets open at that point
+  let safeEnd = -1;
+  let safeStack = [];
+  const markSafe = end => {
+    safeEnd = end;
+    safeStack = [...stack];
+  };
+
+  for (let i = start; i < jsonText.length; i++) {
+    const char = jsonText[i];
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (char === '\\') {
+        escaped = true;
+      } else if (char === '"') {
+        inString = false;
+        if (!stringIsKey) {
+          markSafe(i + 1);
+        }
+      }
+      continue;
+    }
+
+    // Numbers, true, false and null are complete once a delimiter follows them
+    if (/[-+.\w]/.test(char)) {
+      inLiteral = true;
+      continue;
+    }
+    if (inLiteral) {
+      inLiteral = false;
+      markSafe(i);
+    }
+
+    if (char === '"') {
+      inString = true;
+      stringIsKey = stack[stack.length - 1] === '}' && expectingKey;
+    } else if (char === '{' || char === '[') {
+      stack.push(char === '{' ? '}' : ']');
+      expectingKey = char === '{';
+      markSafe(i + 1);
+    } else if (char === '}' || char === ']') {
+      stack.pop();
+      expectingKey = false;
+      markSafe(i + 1);
+    } else if (char === ':') {
+      expectingKey = false;
+    } else if (char === ',') {
+      expectingKey = stack[stack.length - 1] === '}';
+    }
+  }
+
+  if (safeEnd === -1) {
+    return null;
+  }
+  try {
+    return JSON.parse(jsonText.substring(start, safeEnd) + safeStack.reverse().join(''));
+  } catch (error) {
+    return null;
+  }
+}
+
+// Error for a reply that ignored the task, the fallback chain moves on to the next provider
+function createReplyFormatError(message) {
+  const error = new Error(message);
+  error.name = 'ReplyFormatError';
+  return error;
+}
+
+// Parse a JSON reply, tolerating code fences, surrounding chatter and truncation
+function parseJsonResponse(responseText) {
+  if (responseText && typeof responseText === 'object') {
+    return responseText;
+  }
+  if (typeof responseText !== 'string') {
+    throw new Error('Empty structured response');
+  }
+
+  const withoutFences = responseText.replace(/```(?:json)?/gi, '').trim();
+  try {
+    return JSON.parse(withoutFences);
+  } catch (error) {
+    // Fall through to the more forgiving attempts below
+  }
+
+  const start = withoutFences.indexOf('{');
+  if (start === -1) {
+    throw new Error('No JSON object in response');
+  }
+  const end = withoutFences.lastIndexOf('}');
+  if (end > start) {
+    try {
+      return JSON.parse(withoutFences.substring(start, end + 1));
+    } catch (error) {
+      // The reply may have been cut off, try to salvage the complete items
+    }
+  }
+
+  const repaired = parsePartialJson(withoutFences.substring(start));
+  if (repaired) {
+    console.warn('Repaired truncated JSON response');
+    return repaired;
+  }
+  throw new Error('Could not parse JSON from response');
+}
+
+// Repair a single mistake object against the checked text, or return null to drop it
+function validateMistake(mistake, text) {
+  if (!mistake || typeof mistake !== 'object') {
+    return null;
+  }
+  const mistakeText = typeof mistake.text === 'string' ? mistake.text.trim() : '';
+  const suggestion = typeof mistake.suggestion === 'string' ? mistake.suggestion.trim() : '';
+  if (!mistakeText || mistakeText === suggestion) {
+    return null;
+  }
+
+  const mistakeType = typeof mistake.mistake_type === 'string' ? mistake.mistake_type.toLowerCase().trim() : '';
+
+  // Model indices are often off, trust the text and its context over the numbers (see alignment.js)
+  const anchor = alignMistake(text, { ...mistake, text: mistakeText });
+  if (!anchor) {
+    return null;
+  }
+
+  return {
+    text: anchor.text,
+    suggestion,
+    mistake_type: MISTAKE_TYPES.includes(mistakeType) ? mistakeType : 'grammar',
+    start_index: anchor.start,
+    end_index: anchor.end
+  };
+}
+
+// Validate a grammar details reply item by item, dropping overlapping mistakes
+function validateGrammarDetails(data, text) {
+  const items = data && Array.isArray(data.words_with_mistakes) ? data.words_with_mistakes : [];
+  const mistakes = [];
+  items.forEach(item => {
+    const mistake = validateMistake(item, text);
+    if (!mistake) {
+      console.warn('Dropping invalid mistake');
+      return;
+    }
+    const overlaps = mistakes.some(other => mistake.start_index < other.end_index && other.start_index < mistake.end_index);
+    if (!overlaps) {
+      mistakes.push(mistake);
+    }
+  });
+  mistakes.sort((a, b) => a.start_index - b.start_index);
+  return { words_with_mistakes: mistakes };
+}
+
+// Clean one suggestion line: no labels, quotes, brackets or markdown
+function cleanSuggestion(suggestion) {
+  if (typeof suggestion !== 'string') {
+    return '';
+  }
+  let line = suggestion
+    .replace(/\*\*/g, '')
+    .replace(/^\d+\.\s*/, '')
+    .replace(/^(?:Grammatically corrected version|Corrected version|Alternative(?: version)? \d*)\s*:\s*/i, '')
+    .replace(/[\[\]]/g, '')
+    .replace(/^["']|["']$/g, '')
+    .trim()
+    .replace(/\s+/g, ' ');
+  // Ensure the line ends with proper punctuation
+  if (line && !/[.!?]$/.test(line)) {
+    line = line + '.';
+  }
+  return line;
+}
+
+// Character pairs of a text, counted, ignoring case and spacing
+function getCharacterPairs(value) {
+  const normalized = value.toLowerCase().replace(/\s+/g, ' ').trim();
+  const pairs = new Map();
+  for (let i = 0; i < normalized.length - 1; i++) {
+    const pair = normalized.substring(i, i + 2);
+    pairs.set(pair, (pairs.get(pair) || 0) + 1);
+  }
+  return pairs;
+}
+
+// How much two texts share, from 0 (nothing) to 1 (the same), by their character pairs (Dice coefficient)
+function textSimilarity(a, b) {
+  const pairsA = getCharacterPairs(a);
+  const pairsB = getCharacterPairs(b);
+  let totalA = 0;
+  let totalB = 0;
+  let shared = 0;
+  pairsA.forEach(count => { totalA += count; });
+  pairsB.forEach((count, pair) => {
+    totalB += count;
+    shared += Math.min(count, pairsA.get(pair) || 0);
+  });
+  if (totalA === 0 || totalB === 0) {
+    return a.trim().toLowerCase() === b.trim().toLowerCase() ? 1 : 0;
+  }
+  return (2 * shared) / (totalA + totalB);
+}
+
+function resemblesText(suggestion, text, minSimilarity) {
+  if (typeof text !== 'string' || text.trim().length < MIN_COMPARABLE_LENGTH) {
+    return true;
+  }
+  return textSimilarity(suggestion, text) >= minSimilarity;
+}
+
+// Validate a suggestions reply into [corrected, ...alternatives]
+// With the checked text, suggestions that do not resemble it are dropped
+function validateSuggestions(data, text = null) {
+  const suggestions = [];
+  const candidates = [data && data.corrected_text];
+  if (data && Array.isArray(data.alternatives)) {
+    candidates.push(...data.alternatives);
+  }
+  candidates.forEach((candidate, index) => {
+    const line = cleanSuggestion(candidate);
+    if (!line || suggestions.includes(line)) {
+      return;
+    }
+    const minSimilarity = index === 0 ? MIN_CORRECTION_SIMILARITY : MIN_ALTERNATIVE_SIMILARITY;
+    if (!resemblesText(line, text, minSimilarity)) {
+      console.warn(`Dropping suggestion that does not resemble the text, ${line.length} characters`);
+      return;
+    }
+    suggestions.push(line);
+  });
+  return suggestions;
+}
+
+// Validate a sentiment reply, falling back to Neutral for unknown tones
+function validateSentiment(data) {
+  const rawSentiment = data && typeof data.sentiment === 'string' ? data.sentiment.trim().toLowerCase() : '';
+  const sentiment = SENTIMENTS.find(option => option.toLowerCase() === rawSentiment) || 'Neutral';
+  const emoji = data && typeof data.emoji === 'string' && data.emoji.trim() && data.emoji.trim().length <= 8
+    ? data.emoji.trim()
+    : SENTIMENT_EMOJIS[sentiment];
+  return { sentiment, emoji };
+}
+
+// Validate a combined analysis reply into the slices the UI modules use
+// A partial reply (still streaming) only reports the tone once both of its fields are complete,
+// and leaves the mistakes out until the whole list is there
+// A complete reply without a corrected text, or whose corrected text does not resemble the
+// checked text, did not do the task and throws a ReplyFormatError
+// corrected is the suggestion that is the corrected text, null when there is none (yet), the others are alternatives
+function validateTextAnalysis(data, text, isPartial = false) {
+  const hasSentiment = data && typeof data.sentiment === 'string' && (!isPartial || typeof data.emoji === 'string');
+  const suggestions = validateSuggestions(data, text);
+  const corrected = data && typeof data.corrected_text === 'string' ? cleanSuggestion(data.corrected_text) : '';
+  if (!isPartial) {
+    if (!data || typeof data !== 'object' || typeof data.corrected_text !== 'string') {
+      throw createReplyFormatError('Reply ignored the required format');
+    }
+    if (corrected && !suggestions.includes(corrected)) {
+      throw createReplyFormatError('Reply does not resemble the checked text');
+    }
+  }
+  return {
+    suggestions,
+    corrected: corrected && suggestions.includes(corrected) ? corrected : null,
+    sentiment: hasSentiment || !isPartial ? validateSentiment(data) : null,
+    words_with_mistakes: isPartial ? [] : validateGrammarDetails(data, text).words_with_mistakes
+  };
+}
+
+// Validate a chunk check reply, its corrected text is held to the same checks as a combined analysis's
+function validateChunkCheck(data, text) {
+  const { suggestions, words_with_mistakes } = validateTextAnalysis(data, text);
+  return { suggestions, words_with_mistakes };
+}
+
+// Expose to global scope
+self.GRAMMAR_DETAILS_SCHEMA = GRAMMAR_DETAILS_SCHEMA;
+self.SUGGESTIONS_SCHEMA = SUGGESTIONS_SCHEMA;
+self.SENTIMENT_SCHEMA = SENTIMENT_SCHEMA;
+self.TEXT_ANALYSIS_SCHEMA = TEXT_ANALYSIS_SCHEMA;
+self.CHUNK_CHECK_SCHEMA = CHUNK_CHECK_SCHEMA;
+self.parsePartialJson = parsePartialJson;
+self.parseJsonResponse = parseJsonResponse;
+self.validateGrammarDetails = validateGrammarDetails;
+self.validateSuggestions = validateSuggestions;
+self.textSimilarity = textSimilarity;
+self.cleanSuggestion = cleanSuggestion;
+self.validateSentiment = validateSentiment;
+self.validateTextAnalysis = validateTextAnalysis;
+self.validateChunkCheck = validateChunkCheck;
@@ -0,0 +1,151 @@
+/**
+ * @copyright This code belongs to Solo Hunters Open Source Community
+ */
+
+// Sentence and paragraph segmenter
+// Long texts are checked in chunks of whole paragraphs, or of whole sentences when a paragraph is
+// too long, so every part of a long email gets its own list of mistakes. Ranges always cover the
+// text without gaps, so a chunk's offsets map back to the field by adding its start.
+
+// Characters per chunk, about 150 to 200 words
+const CHECK_CHUNK_LENGTH = 1000;
+
+// Words that end with a period without ending the sentence, the offline rules' list (see rules.js)
+const ABBREVIATIONS = new Set(NON_TERMINAL_ABBREVIATIONS);
+
+// Sentence ends: terminal punctuation with any closing quotes or brackets, followed by a space, or a line break
+const SENTENCE_END = /[.!?…]+["'”’)\]]*(?=\s)|\n/gu;
+
+// Whether the period at dotIndex belongs to an abbreviation or an initial ("Dr.", "J. Smith", "U.S.")
+function isAbbreviation(text, dotIndex) {
+  const match = text.substring(Math.max(0, dotIndex - 20), dotIndex).match(/[\p{L}.]+$/u);
+  if (!match) {
+    return false;
+  }
+  const word = match[0].toLowerCase();
+  return ABBREVIATIONS.has(word) || /^\p{L}$/u.test(word) || /^(?:\p{L}\.)+\p{L}$/u.test(word);
+}
+
+// Sentence ranges [{start, end}], each including the whitespace after it
+function splitSentences(text) {
+  const ranges = [];
+  let start = 0;
+  SENTENCE_END.lastIndex = 0;
+  let match;
+  while ((match = SENTENCE_END.exec(text)) !== null) {
+    let end = match.index + match[0].length;
+    if (match[0] !== '\n') {
+      if (match[0] === '.' && isAbbreviation(text, match.index)) {
+        continue;
+      }
+      // A sentence does not start in lowercase, the period was part of something else
+      const next = text.substring(end).match(/^\s+(\S)/u);
+      if (next && /\p{Ll}/u.test(next[1])) {
+        continue;
+      }
+    }
+    while (end < text.length && /\s/.test(text[end])) {
+      end++;
+    }
+    SENTENCE_END.lastIndex = end;
+    if (end > start) {
+      ranges.push({ start, end });
+      start = end;
+    }
+  }
+  if (start < text.length) {
+    ranges.push({ start, end: text.length });
+  }
+  return ranges;
+}
+
+// Paragraph ranges [{start, end}], split at blank lines, each including the blank lines after it
+function splitParagraphs(text) {
+  const ranges = [];
+  const separator = /\n[ \t]*\n\s*/g;
+  let start = 0;
+  let match;
+  while ((match = separator.exec(text)) !== null) {
+    const end = match.index + match[0].length;
+    ranges.push({ start, end });
+    start = end;
+  }
+  if (start < text.length) {
+    ranges.push({ start, end: text.length });
+  }
+  return ranges;
+}
+
+// Cut a range that has no sentence end into pieces at spaces, never inside a surrogate pair
+// A piece ends before the space it is cut at, which starts the next one, so no piece is longer than maxLength
+function splitAtWhitespace(text, range, maxLength) {
+  const pieces = [];
+  let start = range.start;
+  while (range.end - start > maxLength) {
+    let end = text.lastIndexOf(' ', start + maxLength);
+    if (end <= start) {
+      end = start + maxLength;
+      if (/[\udc00-\udfff]/.test(text[end])) {
+        end--;
+      }
+    }
+    pieces.push({ start, end });
+    start = end;
+  }
+  pieces.push({ start, end: range.end });
+  return pieces;
+}
+
+// Split text into chunks of at most maxLength characters: [{start, end, text}]
+// Whole paragraphs are packed together, longer paragraphs are split into sentences
+function chunkText(text, maxLength = CHECK_CHUNK_LENGTH) {
+  const chunks = [];
+  let current = null;
+
+  const add = range => {
+    if (current && range.end - current.start <= maxLength) {
+      current.end = range.end;
+      return;
+    }
+    if (current) {
+      chunks.push(current);
+    }
+    current = { start: range.start, end: range.end };
+  };
+
+  splitParagraphs(text).forEach(paragraph => {
+    if (paragraph.end - paragraph.start <= maxLength) {
+      add(paragraph);
+      return;
+    }
+    splitSentences(text.substring(paragraph.start, paragraph.end)).forEach(sentence => {
+      const range = { start: paragraph.start + sentence.start, end: paragraph.start + sentence.end };
+      if (range.end - range.start <= maxLength) {
+        add(range);
+      } else {
+        splitAtWhitespace(text, range, maxLength).forEach(add);
+      }
+    });
+  });
+  if (current) {
+    chunks.push(current);
+  }
+
+  return chunks.map(chunk => ({ ...chunk, text: text.substring(chunk.start, chunk.end) }));
+}
+
+// Move mistakes found in a chunk to their place in the whole text
+function remapChunkMistakes(mistakes, chunk) {
+  return mistakes.map(mistake => ({
+    ...mistake,
+    start_index: mistake.start_index + chunk.start,
+    end_index: mistake.end_index + chunk.start
+  }));
+}
+
+// Expose to global scope
+self.CHECK_CHUNK_LENGTH = CHECK_CHUNK_LENGTH;
+self.splitSentences = splitSentences;
+self.splitParagraphs = splitParagraphs;
+self.chunkText = chunkText;
+self.remapChunkMistakes = remapChunkMistakes;
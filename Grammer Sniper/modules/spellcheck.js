@@ -0,0 +1,632 @@
+/**
+ * @copyright This code belongs to Solo Hunters Open Source Community
+ */
+
+// Offline spell checker
+// Reads Hunspell .aff/.dic dictionaries (the bundled en_US one or dictionaries the
+// user installed from the popup), flags misspelled words and ranks corrections
+// by edit distance and affix rules.
+
+const DEFAULT_SPELL_LANGUAGE = 'en_US';
+// Dictionaries packaged with the extension
+const BUNDLED_DICTIONARIES = {
+  en_US: {
+    name: 'English (US)',
+    aff: 'dictionaries/en_US.aff',
+    dic: 'dictionaries/en_US.dic'
+  }
+};
+// chrome.storage.local key holding the list of installed dictionaries ([{id, name}])
+const USER_DICTIONARY_LIST_KEY = 'spellDictionaries';
+// chrome.storage.local key prefix of each installed dictionary's {aff, dic} files
+const USER_DICTIONARY_KEY_PREFIX = 'spellDictionary:';
+// Maximum number of corrections returned per word (suggestion plus alternatives)
+const MAX_SPELLING_SUGGESTIONS = 4;
+// Hunspell's default keyboard layout, used when the .aff file has no KEY line
+const DEFAULT_KEYBOARD_LAYOUT = 'qwertyuiop|asdfghjkl|zxcvbnm';
+
+// Loaded spell checkers by dictionary id (promises, so concurrent checks share one load)
+const loadedSpellCheckers = new Map();
+
+// Split a flag string according to the FLAG setting of the .aff file
+function parseFlags(flagText, flagType) {
+  if (!flagText) {
+    return [];
+  }
+  if (flagType === 'long') {
+    return flagText.match(/../g) || [];
+  }
+  if (flagType === 'num') {
+    return flagText.split(',').filter(Boolean);
+  }
+  // Default single-character flags, and UTF-8 flags split by code point
+  return Array.from(flagText);
+}
+
+// Turn an affix condition like "[^aeiou]y" into a regular expression
+function buildAffixCondition(condition, isSuffix) {
+  if (!condition || condition === '.') {
+    return null;
+  }
+  try {
+    return new RegExp(isSuffix ? `${condition}$` : `^${condition}`);
+  } catch (error) {
+    console.warn('Invalid affix condition:', condition);
+    return null;
+  }
+}
+
+// Parse the .aff file: flag settings, affix rules, replacement table...
+function parseAffix(affText) {
+  const affix = {
+    flagType: 'char',
+    tryChars: '',
+    keyboard: DEFAULT_KEYBOARD_LAYOUT.split('|'),
+    replacements: [],
+    prefixes: [],
+    suffixes: [],
+    needAffix: null,
+    forbiddenWord: null,
+    keepCase: null,
+    noSuggest: null,
+    onlyInCompound: null
+  };
+
+  const lines = affText.split(/\r?\n/);
+  // Header lines ("SFX S Y 4") announce how many rule lines follow
+  let pendingRules = 0;
+  let currentAffix = null;
+
+  lines.forEach(rawLine => {
+    const line = rawLine.replace(/(^|\s)#.*$/, '').trim();
+    if (!line) {
+      return;
+    }
+    const parts = line.split(/\s+/);
+    const command = parts[0];
+
+    if ((command === 'PFX' || command === 'SFX') && pendingRules > 0 && currentAffix && parts[1] === currentAffix.flag) {
+      pendingRules--;
+      const [affixText, continuationFlags] = (parts[3] || '').split('/');
+      const isSuffix = command === 'SFX';
+      const rule = {
+        flag: currentAffix.flag,
+        crossProduct: currentAffix.crossProduct,
+        strip: parts[2] === '0' ? '' : parts[2],
+        affix: affixText === '0' ? '' : affixText,
+        continuation: parseFlags(continuationFlags, affix.flagType),
+        condition: buildAffixCondition(parts[4], isSuffix)
+      };
+      (isSuffix ? affix.suffixes : affix.prefixes).push(rule);
+      return;
+    }
+
+    switch (command) {
+      case 'FLAG':
+        affix.flagType = parts[1] === 'UTF-8' ? 'char' : parts[1];
+        break;
+      case 'TRY':
+        affix.tryChars = parts[1] || '';
+        break;
+      case 'KEY':
+        affix.keyboard = (parts[1] || '').split('|').filter(Boolean);
+        break;
+      case 'REP':
+        // The first REP line only holds the number of entries
+        if (parts.length >= 3) {
+          affix.replacements.push([parts[1].replace(/_/g, ' '), parts[2].replace(/_/g, ' ')]);
+        }
+        break;
+      case 'NEEDAFFIX':
+        affix.needAffix = parts[1];
+        break;
+      case 'FORBIDDENWORD':
+        affix.forbiddenWord = parts[1];
+        break;
+      case 'KEEPCASE':
+        affix.keepCase = parts[1];
+        break;
+      case 'NOSUGGEST':
+        affix.noSuggest = parts[1];
+        break;
+      case 'ONLYINCOMPOUND':
+        affix.onlyInCompound = parts[1];
+        break;
+      case 'PFX':
+      case 'SFX':
+        currentAffix = {
+          flag: parts[1],
+          crossProduct: parts[2] === 'Y'
+        };
+        pendingRules = parseInt(parts[3], 10) || 0;
+        break;
+      default:
+        // Compounding, morphology and conversion tables are not used here
+        break;
+    }
+  });
+
+  return affix;
+}
+
+// Parse the .dic file into a map of word -> list of flag sets (one per homonym)
+function parseDictionary(dicText, affix) {
+  const words = new Map();
+  const lines = dicText.split(/\r?\n/);
+
+  // The first line is the approximate word count
+  for (let i = 1; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line || line.startsWith('#')) {
+      continue;
+    }
+    // Morphological fields follow the word after whitespace
+    const entry = line.split(/\s+/)[0];
+    const slashIndex = entry.search(/(?<!\\)\//);
+    const word = (slashIndex === -1 ? entry : entry.substring(0, slashIndex)).replace(/\\\//g, '/');
+    const flags = slashIndex === -1 ? [] : parseFlags(entry.substring(slashIndex + 1), affix.flagType);
+
+    if (!words.has(word)) {
+      words.set(word, []);
+    }
+    words.get(word).push(new Set(flags));
+  }
+
+  return words;
+}
+
+// Damerau-Levenshtein distance (optimal string alignment)
+function getEditDistance(a, b) {
+  const rows = a.length + 1;
+  const cols = b.length + 1;
+  const distances = [];
+  for (let i = 0; i < rows; i++) {
+    distances.push(new Array(cols).fill(0));
+    distances[i][0] = i;
+  }
+  for (let j = 0; j < cols; j++) {
+    distances[0][j] = j;
+  }
+
+  for (let i = 1; i < rows; i++) {
+    for (let j = 1; j < cols; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      distances[i][j] = Math.min(
+        distances[i - 1][j] + 1,
+        distances[i][j - 1] + 1,
+        distances[i - 1][j - 1] + cost
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distances[i][j] = Math.min(distances[i][j], distances[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return distances[a.length][b.length];
+}
+
+// Create a spell checker from the text of a .aff and a .dic file
+function createSpellChecker(affText, dicText) {
+  const affix = parseAffix(affText);
+  const words = parseDictionary(dicText, affix);
+
+  // Whether any homonym of a dictionary word carries the flag and none of the excluded ones
+  function findFlags(word, requiredFlag) {
+    const homonyms = words.get(word);
+    if (!homonyms) {
+      return null;
+    }
+    return homonyms.find(flags => {
+      if (requiredFlag && !flags.has(requiredFlag)) {
+        return false;
+      }
+      return !flags.has(affix.forbiddenWord) && !flags.has(affix.onlyInCompound);
+    }) || null;
+  }
+
+  // Suffix forms: strip the affix, restore the stripped characters and look the stem up
+  function checkSuffixes(word, requiredPrefix) {
+    for (const rule of affix.suffixes) {
+      if (requiredPrefix && !rule.crossProduct) {
+        continue;
+      }
+      if (!word.endsWith(rule.affix) || word.length <= rule.affix.length) {
+        continue;
+      }
+      const stem = word.substring(0, word.length - rule.affix.length) + rule.strip;
+      if (rule.condition && !rule.condition.test(stem)) {
+        continue;
+      }
+      const flags = findFlags(stem, rule.flag);
+      if (flags && (!requiredPrefix || flags.has(requiredPrefix.flag))) {
+        return { stem, suffix: rule };
+      }
+    }
+    return null;
+  }
+
+  // Find how a word is built from a dictionary entry, or null when it is misspelled
+  function analyzeWord(word) {
+    const flags = findFlags(word);
+    if (flags && !flags.has(affix.needAffix)) {
+      return { stem: word };
+    }
+
+    const suffixMatch = checkSuffixes(word, null);
+    if (suffixMatch) {
+      return suffixMatch;
+    }
+
+    for (const rule of affix.prefixes) {
+      if (!word.startsWith(rule.affix) || word.length <= rule.affix.length) {
+        continue;
+      }
+      const stem = rule.strip + word.substring(rule.affix.length);
+      if (rule.condition && !rule.condition.test(stem)) {
+        continue;
+      }
+      if (findFlags(stem, rule.flag)) {
+        return { stem, prefix: rule };
+      }
+      // Prefix and suffix together ("unlikely" -> "un" + "like" + "ly")
+      if (rule.crossProduct) {
+        const crossMatch = checkSuffixes(stem, rule);
+        if (crossMatch) {
+          return { stem: crossMatch.stem, prefix: rule, suffix: crossMatch.suffix };
+        }
+      }
+    }
+
+    return null;
+  }
+
+  // Check a word, accepting capitalized forms of lowercase dictionary words
+  function analyzeWithCase(word) {
+    const analysis = analyzeWord(word);
+    if (analysis) {
+      return analysis;
+    }
+    const lowerWord = word.toLowerCase();
+    if (lowerWord !== word) {
+      const lowerAnalysis = analyzeWord(lowerWord);
+      const lowerFlags = findFlags(lowerAnalysis ? lowerAnalysis.stem : lowerWord);
+      if (lowerAnalysis && !(lowerFlags && lowerFlags.has(affix.keepCase))) {
+        return lowerAnalysis;
+      }
+    }
+    return null;
+  }
+
+  function check(word) {
+    return !!analyzeWithCase(word.replace(/’/g, '\''));
+  }
+
+  // Whether a correction can be offered (NOSUGGEST words are accepted but never suggested)
+  function isSuggestible(candidate) {
+    const analysis = analyzeWithCase(candidate);
+    if (!analysis) {
+      return false;
+    }
+    const flags = findFlags(analysis.stem);
+    return !(flags && flags.has(affix.noSuggest));
+  }
+
+  // Keyboard neighbours of a character, to rank likely typos first
+  function areKeyboardNeighbours(a, b) {
+    return affix.keyboard.some(row => {
+      const index = row.indexOf(a);
+      return index !== -1 && (row[index - 1] === b || row[index + 1] === b);
+    });
+  }
+
+  // All strings one edit away, built from the TRY characters
+  function getSingleEdits(word) {
+    const tryChars = Array.from(new Set(affix.tryChars.toLowerCase() || 'abcdefghijklmnopqrstuvwxyz'));
+    const edits = new Set();
+    for (let i = 0; i <= word.length; i++) {
+      const head = word.substring(0, i);
+      const tail = word.substring(i);
+      if (tail) {
+        edits.add(head + tail.substring(1));
+        if (tail.length > 1) {
+          edits.add(head + tail[1] + tail[0] + tail.substring(2));
+        }
+      }
+      tryChars.forEach(char => {
+        edits.add(head + char + tail);
+        if (tail) {
+          edits.add(head + char + tail.substring(1));
+        }
+      });
+    }
+    edits.delete(word);
+    return edits;
+  }
+
+  // Candidates from the REP table ("alot" -> "a lot", "f" -> "ph")
+  function getReplacementCandidates(word) {
+    const candidates = new Set();
+    affix.replacements.forEach(([from, to]) => {
+      let index = word.indexOf(from);
+      while (index !== -1) {
+        candidates.add(word.substring(0, index) + to + word.substring(index + from.length));
+        index = word.indexOf(from, index + 1);
+      }
+    });
+    return candidates;
+  }
+
+  // Two valid words run together ("inthe" -> "in the")
+  function getSplitCandidates(word) {
+    const candidates = new Set();
+    for (let i = 1; i < word.length; i++) {
+      candidates.add(`${word.substring(0, i)} ${word.substring(i)}`);
+    }
+    return candidates;
+  }
+
+  // Dictionary words within two edits, for typos the single edits don't cover
+  function getDictionaryCandidates(word) {
+    const candidates = new Set();
+    const lowerWord = word.toLowerCase();
+    words.forEach((homonyms, entry) => {
+      if (Math.abs(entry.length - word.length) > 2 || entry[0].toLowerCase() !== lowerWord[0]) {
+        return;
+      }
+      if (getEditDistance(lowerWord, entry.toLowerCase()) <= 2) {
+        candidates.add(entry);
+      }
+    });
+    return candidates;
+  }
+
+  // Number of letter pairs two words share, used to break ties between equally distant corrections
+  function countSharedBigrams(a, b) {
+    let shared = 0;
+    for (let i = 0; i < a.length - 1; i++) {
+      if (b.includes(a.substring(i, i + 2))) {
+        shared++;
+      }
+    }
+    return shared;
+  }
+
+  // Rank corrections: edit distance first, then shared affixes, replacement table hits and common typo shapes
+  function rankCandidates(word, candidates, replacementCandidates) {
+    return candidates.map(candidate => {
+      const lowerCandidate = candidate.toLowerCase();
+      let score = getEditDistance(word, lowerCandidate) * 10;
+
+      // Keep the same derivation ("runing" -> "running" rather than "ruing"),
+      // single letter affixes such as the plural "s" match too many words to count
+      const analysis = analyzeWithCase(candidate) || {};
+      if (analysis.suffix && analysis.suffix.affix.length > 1 && word.endsWith(analysis.suffix.affix)) {
+        score -= 2;
+      }
+      if (analysis.prefix && analysis.prefix.affix.length > 1 && word.startsWith(analysis.prefix.affix)) {
+        score -= 2;
+      }
+      if (replacementCandidates.has(candidate)) {
+        score -= 4;
+      }
+      if (lowerCandidate.length === word.length + 1) {
+        const insertIndex = Array.from(word).findIndex((char, index) => char !== lowerCandidate[index]);
+        const inserted = lowerCandidate[insertIndex === -1 ? word.length : insertIndex];
+        // Missing doubled letters ("runing") and apostrophes ("dont") are the most common omissions
+        if (inserted === '\'' || inserted === lowerCandidate[insertIndex - 1] || inserted === lowerCandidate[insertIndex + 1]) {
+          score -= 3;
+        }
+      }
+      if (lowerCandidate.length === word.length) {
+        const diffIndexes = Array.from(word).map((char, index) => char !== lowerCandidate[index] ? index : -1)
+          .filter(index => index !== -1);
+        // Swapped neighbouring letters ("teh")
+        if (diffIndexes.length === 2 && diffIndexes[1] === diffIndexes[0] + 1 &&
+            word[diffIndexes[0]] === lowerCandidate[diffIndexes[1]] && word[diffIndexes[1]] === lowerCandidate[diffIndexes[0]]) {
+          score -= 3;
+        }
+        // A single substituted character that sits next to the intended key
+        if (diffIndexes.length === 1 && areKeyboardNeighbours(word[diffIndexes[0]], lowerCandidate[diffIndexes[0]])) {
+          score -= 1;
+        }
+      }
+      // Typos rarely change the first letter
+      if (lowerCandidate[0] === word[0]) {
+        score -= 1;
+      }
+      // Splitting a word is rarely the intended fix
+      if (candidate.includes(' ')) {
+        score += 5;
+      }
+      return { candidate, score, sharedBigrams: countSharedBigrams(word, lowerCandidate) };
+    })
+      .sort((a, b) => a.score - b.score || b.sharedBigrams - a.sharedBigrams || a.candidate.localeCompare(b.candidate))
+      .map(entry => entry.candidate);
+  }
+
+  // Copy the capitalization of the misspelled word onto a correction
+  function matchSuggestionCase(word, suggestion) {
+    if (word[0] === word[0].toUpperCase() && word[0] !== word[0].toLowerCase()) {
+      return suggestion.charAt(0).toUpperCase() + suggestion.slice(1);
+    }
+    return suggestion;
+  }
+
+  function suggest(word) {
+    const normalized = word.replace(/’/g, '\'');
+    const lowerWord = normalized.toLowerCase();
+    const replacementCandidates = getReplacementCandidates(lowerWord);
+
+    // Split candidates only count when neither part is a stray letter ("children s")
+    const isValidCandidate = candidate => candidate.split(' ').every(part => {
+      return (part.length > 1 || part === 'a' || part === 'i') && isSuggestible(part);
+    });
+    const candidates = new Set();
+    [replacementCandidates, getSingleEdits(lowerWord), getSplitCandidates(lowerWord)].forEach(set => {
+      set.forEach(candidate => {
+        if (isValidCandidate(candidate)) {
+          candidates.add(candidate);
+        }
+      });
+    });
+
+    if (candidates.size < MAX_SPELLING_SUGGESTIONS) {
+      getDictionaryCandidates(lowerWord).forEach(candidate => {
+        if (isSuggestible(candidate)) {
+          candidates.add(candidate);
+        }
+      });
+    }
+
+    const ranked = rankCandidates(lowerWord, Array.from(candidates), replacementCandidates);
+    const suggestions = [];
+    ranked.forEach(candidate => {
+      const suggestion = matchSuggestionCase(word, candidate);
+      if (suggestions.length < MAX_SPELLING_SUGGESTIONS && !suggestions.includes(suggestion)) {
+        suggestions.push(suggestion);
+      }
+    });
+    return suggestions;
+  }
+
+  return {
+    check,
+    suggest,
+    wordCount: words.size
+  };
+}
+
+// Whether a token should be spell checked at all
+function shouldCheckWord(word) {
+  // Single letters, acronyms, words with digits and camelCase identifiers are skipped
+  if (word.length < 2 || /\d/.test(word)) {
+    return false;
+  }
+  if (word === word.toUpperCase()) {
+    return false;
+  }
+  return !/\p{Ll}\p{Lu}/u.test(word);
+}
+
+// Find misspelled words and return them as {error, suggestion, type, startPos, endPos} objects
+function checkSpelling(text, spellChecker) {
+  if (!text || !spellChecker) {
+    return [];
+  }
+
+  const errors = [];
+  // Words may contain inner apostrophes and hyphens ("don't", "well-known")
+  const wordPattern = /\p{L}+(?:['’]\p{L}+)*/gu;
+  // URLs, emails and file paths are not prose
+  const ignoredRanges = [];
+  const ignoredPattern = /\S+@\S+|\b(?:https?:\/\/|www\.)\S+|\S+\.(?:com|org|net|io|js|html|css|json|md|txt)\b/gi;
+  let ignoredMatch;
+  while ((ignoredMatch = ignoredPattern.exec(text)) !== null) {
+    ignoredRanges.push([ignoredMatch.index, ignoredMatch.index + ignoredMatch[0].length]);
+  }
+
+  let match;
+  while ((match = wordPattern.exec(text)) !== null) {
+    const word = match[0];
+    const startPos = match.index;
+    const endPos = startPos + word.length;
+
+    if (!shouldCheckWord(word) || ignoredRanges.some(([start, end]) => startPos >= start && endPos <= end)) {
+      continue;
+    }
+    if (spellChecker.check(word)) {
+      continue;
+    }
+
+    const suggestions = spellChecker.suggest(word);
+    errors.push({
+      error: word,
+      suggestion: suggestions[0] || '',
+      alternatives: suggestions.slice(1),
+      type: 'spelling',
+      message: suggestions.length > 0 ? 'Possible spelling mistake.' : 'Possible spelling mistake, no suggestions found.',
+      ruleId: 'SPELLING',
+      startPos,
+      endPos
+    });
+  }
+
+  return errors;
+}
+
+// Read a file of the extension package through the background (see READ_DICTIONARY in background.js):
+// the dictionaries are not web accessible, so content scripts cannot fetch them themselves
+function readBundledDictionaryFile(path) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage({ type: 'READ_DICTIONARY', path }, function(response) {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      if (!response || response.error) {
+        reject(new Error(response ? response.error : `Could not read ${path}`));
+        return;
+      }
+      resolve(response.result);
+    });
+  });
+}
+
+// Read a dictionary's .aff and .dic text from the extension package or chrome.storage.local
+async function readDictionaryFiles(dictionaryId) {
+  const bundled = BUNDLED_DICTIONARIES[dictionaryId];
+  if (bundled) {
+    const [aff, dic] = await Promise.all([
+      readBundledDictionaryFile(bundled.aff),
+      readBundledDictionaryFile(bundled.dic)
+    ]);
+    return { aff, dic };
+  }
+
+  const storageKey = USER_DICTIONARY_KEY_PREFIX + dictionaryId;
+  return new Promise((resolve, reject) => {
+    chrome.storage.local.get([storageKey], function(result) {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      if (!result[storageKey]) {
+        reject(new Error(`Dictionary ${dictionaryId} is not installed`));
+        return;
+      }
+      resolve(result[storageKey]);
+    });
+  });
+}
+
+// Load (once) the spell checker for a dictionary id
+function loadSpellChecker(dictionaryId = DEFAULT_SPELL_LANGUAGE) {
+  if (!loadedSpellCheckers.has(dictionaryId)) {
+    const loading = readDictionaryFiles(dictionaryId).then(files => {
+      const spellChecker = createSpellChecker(files.aff, files.dic);
+      console.log(`Loaded ${dictionaryId} dictionary with ${spellChecker.wordCount} words`);
+      return spellChecker;
+    }).catch(error => {
+      // Allow another attempt, e.g. after the dictionary has been installed
+      loadedSpellCheckers.delete(dictionaryId);
+      throw error;
+    });
+    loadedSpellCheckers.set(dictionaryId, loading);
+  }
+  return loadedSpellCheckers.get(dictionaryId);
+}
+
+// Forget loaded dictionaries so installed or removed ones are picked up
+function resetSpellCheckers() {
+  loadedSpellCheckers.clear();
+}
+
+// Expose to global scope
+window.BUNDLED_DICTIONARIES = BUNDLED_DICTIONARIES;
+window.USER_DICTIONARY_LIST_KEY = USER_DICTIONARY_LIST_KEY;
+window.USER_DICTIONARY_KEY_PREFIX = USER_DICTIONARY_KEY_PREFIX;
+window.DEFAULT_SPELL_LANGUAGE = DEFAULT_SPELL_LANGUAGE;
+window.createSpellChecker = createSpellChecker;
+window.checkSpelling = checkSpelling;
+window.loadSpellChecker = loadSpellChecker;
+window.resetSpellCheckers = resetSpellCheckers;
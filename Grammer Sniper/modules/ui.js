@@ -158,6 +158,8 @@ function createSuggestionsPopup() {
 }
 
 // Show suggestions popup with options
+// suggestions: null when there is not enough text, an array of suggestions,
+// or a function(onSuggestion) that streams them in and resolves to the full list
 async function showSuggestionsPopup(element, logo, suggestions, sentenceInfo) {
   const popup = createSuggestionsPopup();
 
@@ -210,7 +212,7 @@ async function showSuggestionsPopup(element, logo, suggestions, sentenceInfo) {
     return;
   }
 
-  // Show loading state
+  // Show the header right away, the tone badge and the suggestions fill in independently
   popup.innerHTML = `
     <div style="padding: 12px 16px; border-bottom: 1px solid #e0e0e0;">
       <div style="display: flex; align-items: center; justify-content: space-between; margin-bottom: 8px;">
@@ -218,112 +220,130 @@ async function showSuggestionsPopup(element, logo, suggestions, sentenceInfo) {
         <span style="background: #e8f0fe; color: #1967d2; padding: 2px 8px; border-radius: 4px; font-size: 12px;">Pro</span>
       </div>
       <div style="display: flex; align-items: center; gap: 8px; padding: 4px 8px; background: #ffffff; border-radius: 4px; min-height: 24px;">
-        <span style="font-size: 16px;">🔄</span>
-        <span style="color: #5f6368; font-size: 13px;">Analyzing tone...</span>
+        <span class="text-helper-tone-emoji" style="font-size: 16px;">🔄</span>
+        <span class="text-helper-tone-label" style="color: #5f6368; font-size: 13px;">Analyzing tone...</span>
       </div>
     </div>
-    <div style="padding: 12px 16px; display: flex; align-items: center; justify-content: center; height: 50px;">
+    <div class="text-helper-suggestions" style="padding: 8px 0;"></div>
+    <div class="text-helper-suggestions-loading" style="padding: 12px 16px; display: flex; align-items: center; justify-content: center; height: 50px;">
       <div style="width: 24px; height: 24px; border: 2px solid #e0e0e0; border-top-color: #1967d2; border-radius: 50%; animation: text-helper-spin 0.8s linear infinite;"></div>
     </div>
+    <div class="text-helper-provider" style="display: none; padding: 0 16px 8px; color: #9aa0a6; font-size: 11px;"></div>
+    <div class="text-helper-budget" style="display: none; margin: 0 16px 12px; padding: 6px 8px; background: #fef7e0; color: #b06000; border-radius: 4px; font-size: 12px;">
+      Daily budget reached: underline checks are paused until tomorrow. Suggestions still work when you click the logo.
+    </div>
   `;
 
+  const toneEmoji = popup.querySelector('.text-helper-tone-emoji');
+  const toneLabel = popup.querySelector('.text-helper-tone-label');
+  const suggestionsContainer = popup.querySelector('.text-helper-suggestions');
+  const loadingIndicator = popup.querySelector('.text-helper-suggestions-loading');
+  const providerLabel = popup.querySelector('.text-helper-provider');
+  const budgetWarning = popup.querySelector('.text-helper-budget');
+
   // Position and show the popup immediately with loading state
   positionPopup();
 
-  // Get sentiment analysis
-  let sentimentInfo = { sentiment: 'Analyzing...', emoji: '🔄' };
+  // Handle clicking outside, registered before the suggestions finish streaming
+  const handleClickOutside = (event) => {
+    if (!popup.contains(event.target) && !logo.contains(event.target)) {
+      popup.style.display = 'none';
+      logo.dataset.popupVisible = 'false';
+      document.removeEventListener('click', handleClickOutside);
+    }
+  };
+
+  // Add click handler with delay to prevent immediate closing
+  setTimeout(() => {
+    document.addEventListener('click', handleClickOutside);
+  }, 100);
+
+  // Get sentiment analysis without waiting for it
   if (sentenceInfo.text.trim().length >= 10) {
-    sentimentInfo = await analyzeSentiment(sentenceInfo.text);
+    analyzeSentiment(sentenceInfo.text).then(sentimentInfo => {
+      toneEmoji.textContent = sentimentInfo.emoji;
+      toneLabel.textContent = `Tone: ${sentimentInfo.sentiment}`;
+    });
   }
 
-  // Prepare the HTML content first before updating the popup
-  let popupHTML = '';
-  let suggestionsContainer = null;
+  // Add one clickable suggestion, usable while the rest are still generating
+  // type is 'correction' for the corrected text, which gets the check mark, or 'alternative'
+  const addSuggestion = (suggestion, index, type = 'alternative') => {
+    const isCorrection = type === 'correction';
+    const item = document.createElement('div');
+    item.style.padding = '8px 16px';
+    item.style.cursor = 'pointer';
+    item.style.color = '#1a1a1a';
+    item.style.fontSize = '14px';
+    item.style.lineHeight = '1.5';
+    item.style.transition = 'background-color 0.2s ease';
+    item.style.display = 'flex';
+    item.style.alignItems = 'center';
+
+    // Add icons for different suggestion types
+    const icon = document.createElement('span');
+    icon.style.marginRight = '8px';
+    icon.style.fontSize = '12px';
+    icon.style.color = isCorrection ? '#1967d2' : '#5f6368';
+    icon.textContent = isCorrection ? '✓' : '✦';
+    const label = document.createElement('span');
+    label.textContent = suggestion;
+    item.appendChild(icon);
+    item.appendChild(label);
+
+    item.addEventListener('mouseover', () => {
+      item.style.backgroundColor = '#f8f9fa';
+    });
 
-  if (suggestions && suggestions.length > 0) {
-    popupHTML = `
-      <div style="padding: 12px 16px; border-bottom: 1px solid #e0e0e0;">
-        <div style="display: flex; align-items: center; justify-content: space-between; margin-bottom: 8px;">
-          <span style="font-weight: 500; color: #1a1a1a;">Grammar Check</span>
-          <span style="background: #e8f0fe; color: #1967d2; padding: 2px 8px; border-radius: 4px; font-size: 12px;">Pro</span>
-        </div>
-        <div style="display: flex; align-items: center; gap: 8px; padding: 4px 8px; background: #ffffff; border-radius: 4px; min-height: 24px;">
-          <span style="font-size: 16px;">${sentimentInfo.emoji}</span>
-          <span style="color: #5f6368; font-size: 13px;">Tone: ${sentimentInfo.sentiment}</span>
-        </div>
-      </div>
-    `;
+    item.addEventListener('mouseout', () => {
+      item.style.backgroundColor = 'transparent';
+    });
 
-    suggestionsContainer = document.createElement('div');
-    suggestionsContainer.style.padding = '8px 0';
-
-    suggestions.forEach((suggestion, index) => {
-      const item = document.createElement('div');
-      item.style.padding = '8px 16px';
-      item.style.cursor = 'pointer';
-      item.style.color = '#1a1a1a';
-      item.style.fontSize = '14px';
-      item.style.lineHeight = '1.5';
-      item.style.transition = 'background-color 0.2s ease';
-      item.style.display = 'flex';
-      item.style.alignItems = 'center';
-
-      // Add icons for different suggestion types
-      if (index === 0) {
-        item.innerHTML = `
-          <span style="color: #1967d2; margin-right: 8px; font-size: 12px;">✓</span>
-          <span>${suggestion}</span>
-        `;
-      } else {
-        item.innerHTML = `
-          <span style="color: #5f6368; margin-right: 8px; font-size: 12px;">✦</span>
-          <span>${suggestion}</span>
-        `;
-      }
+    item.addEventListener('click', () => {
+      replaceSentence(element, suggestion, sentenceInfo);
+      popup.style.display = 'none';
+      logo.dataset.popupVisible = 'false';
+    });
 
-      item.addEventListener('mouseover', () => {
-        item.style.backgroundColor = '#f8f9fa';
-      });
+    suggestionsContainer.appendChild(item);
+
+    // Move the popup back into view if the new item pushed it past the viewport
+    if (popup.getBoundingClientRect().bottom > window.innerHeight - 10) {
+      positionPopup();
+    }
+  };
 
-      item.addEventListener('mouseout', () => {
-        item.style.backgroundColor = 'transparent';
-      });
+  // The active provider may have failed and a fallback answered instead
+  const showAnswerProvider = provider => {
+    providerLabel.textContent = `Suggestions by ${provider.name}`;
+    providerLabel.style.display = 'block';
+  };
 
-      item.addEventListener('click', () => {
-        replaceSentence(element, suggestion, sentenceInfo);
-        popup.style.display = 'none';
-        logo.dataset.popupVisible = 'false';
-      });
+  // The daily budget set in the popup only pauses the underline checks
+  const showBudgetWarning = () => {
+    budgetWarning.style.display = 'block';
+  };
 
-      suggestionsContainer.appendChild(item);
-    });
-  } else {
-    popupHTML = `
-      <div style="padding: 12px 16px; border-bottom: 1px solid #e0e0e0;">
-        <div style="display: flex; align-items: center; justify-content: space-between; margin-bottom: 8px;">
-          <span style="font-weight: 500; color: #1a1a1a;">Grammar Check</span>
-          <span style="background: #e8f0fe; color: #1967d2; padding: 2px 8px; border-radius: 4px; font-size: 12px;">Pro</span>
-        </div>
-        <div style="display: flex; align-items: center; gap: 8px; padding: 4px 8px; background: #ffffff; border-radius: 4px; min-height: 24px;">
-          <span style="font-size: 16px;">${sentimentInfo.emoji}</span>
-          <span style="color: #5f6368; font-size: 13px;">Tone: ${sentimentInfo.sentiment}</span>
-        </div>
-      </div>
-      <div style="padding: 12px 16px; color: #5f6368;">
-        Unable to generate suggestions at this time. Please try again.
-      </div>
-    `;
+  // suggestions is either the finished list or a function that streams them into a callback
+  let addedSuggestions = [];
+  try {
+    if (typeof suggestions === 'function') {
+      addedSuggestions = await suggestions(addSuggestion, showAnswerProvider, showBudgetWarning);
+    } else if (Array.isArray(suggestions)) {
+      suggestions.forEach((suggestion, index) => addSuggestion(suggestion, index));
+      addedSuggestions = suggestions;
+    }
+  } catch (error) {
+    console.error('Error loading suggestions:', error);
   }
 
-  // Update the popup with all content at once
-  popup.innerHTML = popupHTML;
-  if (suggestionsContainer) {
-    popup.appendChild(suggestionsContainer);
+  loadingIndicator.remove();
+  if (!addedSuggestions || suggestionsContainer.children.length === 0) {
+    suggestionsContainer.style.padding = '12px 16px';
+    suggestionsContainer.style.color = '#5f6368';
+    suggestionsContainer.textContent = 'Unable to generate suggestions at this time. Please try again.';
   }
 
-  // Reposition the popup after content update
-  positionPopup();
-
   // Function to position the popup near the cursor position
   function positionPopup(forceAbove = false, inputElement = element, logoElement = logo, popupElement = popup) {
     try {
@@ -472,20 +492,6 @@ async function showSuggestionsPopup(element, logo, suggestions, sentenceInfo) {
       popupElement.style.opacity = '1';
     }
   }
-
-  // Handle clicking outside
-  const handleClickOutside = (event) => {
-    if (!popup.contains(event.target) && !logo.contains(event.target)) {
-      popup.style.display = 'none';
-      logo.dataset.popupVisible = 'false';
-      document.removeEventListener('click', handleClickOutside);
-    }
-  };
-
-  // Add click handler with delay to prevent immediate closing
-  setTimeout(() => {
-    document.addEventListener('click', handleClickOutside);
-  }, 100);
 }
 
 // Show loading state on the logo
@@ -0,0 +1,214 @@
+/**
+ * @copyright This code belongs to Solo Hunters Open Source Community
+ */
+
+// Token and cost accounting for the background service worker
+// Every provider call records its prompt and response tokens, from the provider's own usage report
+// when it sends one and estimated from the text otherwise, per day and per site. Once the daily
+// budget set in the popup is used up, background underline checks are refused; suggestions the
+// user asks for by clicking the logo still go through.
+
+// Daily budget in sync storage: {type: 'tokens' | 'cost', limit}, a limit of 0 means no budget
+const DAILY_BUDGET_KEY = 'dailyBudget';
+const DEFAULT_DAILY_BUDGET = { type: 'tokens', limit: 0 };
+
+// Day records live in the extension's own IndexedDB, storage changes would reach every tab as settings changes
+const USAGE_DATABASE_NAME = 'grammar-sniper-usage';
+const USAGE_DATABASE_STORE = 'days';
+// Days of history the popup can show, older ones are removed
+const USAGE_HISTORY_DAYS = 30;
+// Site of calls made from extension pages, such as the popup's key check
+const EXTENSION_USAGE_SITE = 'extension';
+
+// Rough token count of text for providers that report no usage, about four characters per token
+const CHARACTERS_PER_TOKEN = 4;
+
+// List prices in US dollars per million prompt and response tokens, matched by model id prefix
+// Models not listed (self-hosted ones for instance) count towards a token budget only
+const MODEL_PRICES = [
+  { prefix: 'gemini-1.5-flash', prompt: 0.075, response: 0.3 },
+  { prefix: 'gemini-1.5-pro', prompt: 1.25, response: 5 },
+  { prefix: 'gemini-2.0-flash', prompt: 0.1, response: 0.4 },
+  { prefix: 'gemini-2.5-flash', prompt: 0.3, response: 2.5 },
+  { prefix: 'gemini-2.5-pro', prompt: 1.25, response: 10 },
+  { prefix: 'claude-3-5-haiku', prompt: 0.8, response: 4 },
+  { prefix: 'claude-3-haiku', prompt: 0.25, response: 1.25 },
+  { prefix: 'claude-3-5-sonnet', prompt: 3, response: 15 },
+  { prefix: 'claude-3-7-sonnet', prompt: 3, response: 15 },
+  { prefix: 'claude-sonnet-4', prompt: 3, response: 15 },
+  { prefix: 'gpt-4o-mini', prompt: 0.15, response: 0.6 },
+  { prefix: 'gpt-4o', prompt: 2.5, response: 10 },
+  { prefix: 'gpt-4.1-mini', prompt: 0.4, response: 1.6 },
+  { prefix: 'gpt-4.1-nano', prompt: 0.1, response: 0.4 },
+  { prefix: 'gpt-4.1', prompt: 2, response: 8 },
+  { prefix: 'llama-3.1-8b-instant', prompt: 0.05, response: 0.08 },
+  { prefix: 'llama-3.3-70b', prompt: 0.59, response: 0.79 }
+];
+
+function openUsageDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(USAGE_DATABASE_NAME, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(USAGE_DATABASE_STORE, { keyPath: 'date' });
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Run one request against the day store and resolve with its result
+async function runUsageDatabaseRequest(mode, makeRequest) {
+  const database = await openUsageDatabase();
+  try {
+    return await new Promise((resolve, reject) => {
+      const request = makeRequest(database.transaction(USAGE_DATABASE_STORE, mode).objectStore(USAGE_DATABASE_STORE));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  } finally {
+    database.close();
+  }
+}
+
+// Local date as YYYY-MM-DD, budgets reset at the user's midnight
+function getUsageDate(time = Date.now()) {
+  const date = new Date(time);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+// Host name of the page a call came from, or EXTENSION_USAGE_SITE for the extension's own pages
+function getUsageSite(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:' ? parsed.hostname : EXTENSION_USAGE_SITE;
+  } catch (error) {
+    return EXTENSION_USAGE_SITE;
+  }
+}
+
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / CHARACTERS_PER_TOKEN);
+}
+
+// Cost of a call in US dollars, null when the model's price is not known
+function getCallCost(model, promptTokens, responseTokens) {
+  const price = MODEL_PRICES.find(entry => (model || '').startsWith(entry.prefix));
+  if (!price) {
+    return null;
+  }
+  return (promptTokens * price.prompt + responseTokens * price.response) / 1000000;
+}
+
+function createUsageTotals() {
+  return { requests: 0, promptTokens: 0, responseTokens: 0, cost: 0, estimated: 0 };
+}
+
+function addToUsageTotals(totals, call) {
+  totals.requests++;
+  totals.promptTokens += call.promptTokens;
+  totals.responseTokens += call.responseTokens;
+  totals.cost += call.cost || 0;
+  // Calls whose tokens were estimated, the popup says the totals are approximate then
+  if (call.estimated) {
+    totals.estimated++;
+  }
+}
+
+// Record one provider call: {providerId, model, site, promptTokens, responseTokens, estimated}
+// Day records are read and written in one transaction, so calls finishing together are all counted
+async function recordUsage(call) {
+  const entry = { ...call, cost: getCallCost(call.model, call.promptTokens, call.responseTokens) };
+  const date = getUsageDate();
+  const site = call.site || EXTENSION_USAGE_SITE;
+  try {
+    const database = await openUsageDatabase();
+    try {
+      await new Promise((resolve, reject) => {
+        const transaction = database.transaction(USAGE_DATABASE_STORE, 'readwrite');
+        const store = transaction.objectStore(USAGE_DATABASE_STORE);
+        const request = store.get(date);
+        request.onsuccess = () => {
+          const day = request.result || { date, total: createUsageTotals(), sites: {} };
+          addToUsageTotals(day.total, entry);
+          day.sites[site] = day.sites[site] || createUsageTotals();
+          addToUsageTotals(day.sites[site], entry);
+          store.put(day);
+          // Dates sort as text, so everything before the oldest kept day can go at once
+          store.delete(IDBKeyRange.upperBound(getUsageDate(Date.now() - USAGE_HISTORY_DAYS * 24 * 60 * 60 * 1000), true));
+        };
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+      });
+    } finally {
+      database.close();
+    }
+    console.log(`Recorded ${entry.promptTokens} prompt and ${entry.responseTokens} response tokens for ${site}${call.estimated ? ' (estimated)' : ''}`);
+  } catch (error) {
+    console.warn('Could not record usage:', error);
+  }
+}
+
+async function getDailyBudget() {
+  const result = await chrome.storage.sync.get([DAILY_BUDGET_KEY]);
+  const budget = result[DAILY_BUDGET_KEY];
+  if (!budget || (budget.type !== 'tokens' && budget.type !== 'cost') || !(budget.limit > 0)) {
+    return DEFAULT_DAILY_BUDGET;
+  }
+  return budget;
+}
+
+// Today's use against the budget: {type, limit, used, reached}
+async function getBudgetStatus() {
+  const [budget, today] = await Promise.all([
+    getDailyBudget(),
+    runUsageDatabaseRequest('readonly', store => store.get(getUsageDate()))
+  ]);
+  const total = today ? today.total : createUsageTotals();
+  const used = budget.type === 'cost' ? total.cost : total.promptTokens + total.responseTokens;
+  return {
+    type: budget.type,
+    limit: budget.limit,
+    used,
+    reached: budget.limit > 0 && used >= budget.limit
+  };
+}
+
+// Whether background checks have to wait for tomorrow, a failing read never blocks them
+async function isDailyBudgetReached() {
+  try {
+    return (await getBudgetStatus()).reached;
+  } catch (error) {
+    console.warn('Could not read the daily budget:', error);
+    return false;
+  }
+}
+
+// Thrown for background checks once the daily budget is used up
+function createBudgetError() {
+  const error = new Error('Daily budget reached, underline checks are paused until tomorrow');
+  error.name = 'BudgetExceededError';
+  return error;
+}
+
+// What the popup shows: {today, days: [{date, total, sites}], budget}, newest day first
+async function getUsageSummary() {
+  const [days, budget] = await Promise.all([
+    runUsageDatabaseRequest('readonly', store => store.getAll()),
+    getBudgetStatus()
+  ]);
+  return { today: getUsageDate(), days: days.reverse(), budget };
+}
+
+function clearUsage() {
+  return runUsageDatabaseRequest('readwrite', store => store.clear());
+}
+
+// Expose to global scope
+self.getUsageSite = getUsageSite;
+self.estimateTokens = estimateTokens;
+self.recordUsage = recordUsage;
+self.getBudgetStatus = getBudgetStatus;
+self.isDailyBudgetReached = isDailyBudgetReached;
+self.createBudgetError = createBudgetError;
+self.getUsageSummary = getUsageSummary;
+self.clearUsage = clearUsage;
@@ -0,0 +1,167 @@
+/**
+ * @copyright This code belongs to Solo Hunters Open Source Community
+ */
+
+// Options page: prompt template editor (see modules/prompts.js)
+
+document.addEventListener('DOMContentLoaded', function() {
+  const variablesContainer = document.getElementById('promptVariables');
+  const templateNameSelect = document.getElementById('templateName');
+  const templateEditor = document.getElementById('templateEditor');
+  const templateStatus = document.getElementById('templateStatus');
+  const versionsList = document.getElementById('templateVersions');
+  const previewText = document.getElementById('previewText');
+  const promptPreview = document.getElementById('promptPreview');
+
+  // One input per variable, a textarea for the style guide
+  const variableInputs = {};
+  Object.entries(PROMPT_VARIABLES).forEach(([name, variable]) => {
+    const group = document.createElement('div');
+    group.className = 'input-group';
+    const label = document.createElement('label');
+    label.htmlFor = `variable-${name}`;
+    label.textContent = `${variable.label} {{${name}}}`;
+    let input;
+    if (name === 'styleGuide') {
+      input = document.createElement('textarea');
+      input.rows = 4;
+      input.placeholder = 'e.g. Address the customer as "you", never promise delivery dates';
+      group.style.gridColumn = '1 / -1';
+    } else {
+      input = document.createElement('input');
+      if (typeof variable.defaultValue === 'number') {
+        input.type = 'number';
+        input.min = variable.min;
+        input.max = variable.max;
+      } else {
+        input.type = 'text';
+      }
+      input.placeholder = String(variable.defaultValue);
+    }
+    input.id = `variable-${name}`;
+    input.addEventListener('input', renderPreview);
+    group.appendChild(label);
+    group.appendChild(input);
+    variablesContainer.appendChild(group);
+    variableInputs[name] = input;
+  });
+
+  Object.keys(DEFAULT_PROMPT_TEMPLATES).forEach(name => {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = PROMPT_TEMPLATE_LABELS[name] || name;
+    templateNameSelect.appendChild(option);
+  });
+
+  function readVariables() {
+    const values = {};
+    Object.entries(variableInputs).forEach(([name, input]) => {
+      values[name] = input.value.trim();
+    });
+    return normalizePromptVariables(values);
+  }
+
+  function showTemplateStatus(message, type) {
+    templateStatus.textContent = message;
+    templateStatus.className = `status ${type}`;
+  }
+
+  // Show what would be sent for the sample text, with the variables and the template as they are in the editor
+  function renderPreview() {
+    const problems = validatePromptTemplate(templateEditor.value);
+    if (problems.length > 0) {
+      showTemplateStatus(problems.join('. '), 'error');
+    } else if (templateStatus.className.includes('error')) {
+      showTemplateStatus('', '');
+    }
+    const prompt = renderPromptParts(templateEditor.value, {
+      ...readVariables(),
+      text: previewText.value
+    });
+    promptPreview.textContent = `Instructions:\n${prompt.instructions}\n\nUser message:\n${prompt.input}`;
+  }
+
+  function formatVersionDate(timestamp) {
+    return new Date(timestamp).toLocaleString();
+  }
+
+  // List the saved versions, any of them (or the default) can be made active again
+  async function loadTemplate() {
+    const name = templateNameSelect.value;
+    const [history, active] = await Promise.all([getPromptTemplateHistory(name), getPromptTemplate(name)]);
+    templateEditor.value = active.template;
+
+    versionsList.innerHTML = '';
+    const entries = [
+      { version: 0, label: 'Built-in default' },
+      ...history.versions.slice().reverse().map(entry => ({
+        version: entry.version,
+        label: `Version ${entry.version}, saved ${formatVersionDate(entry.savedAt)}`
+      }))
+    ];
+    entries.forEach(entry => {
+      const item = document.createElement('li');
+      const label = document.createElement('span');
+      label.textContent = entry.version === active.version ? `${entry.label} (active)` : entry.label;
+      item.appendChild(label);
+      if (entry.version !== active.version) {
+        const restoreButton = document.createElement('button');
+        restoreButton.className = 'secondary';
+        restoreButton.textContent = 'Restore';
+        restoreButton.addEventListener('click', function() {
+          activatePromptVersion(name, entry.version)
+            .then(() => {
+              showTemplateStatus(entry.version === 0 ? 'Default template restored' : `Version ${entry.version} restored`, 'success');
+              return loadTemplate();
+            })
+            .catch(error => showTemplateStatus(error.message, 'error'));
+        });
+        item.appendChild(restoreButton);
+      }
+      versionsList.appendChild(item);
+    });
+
+    renderPreview();
+  }
+
+  getPromptVariables().then(variables => {
+    Object.entries(variableInputs).forEach(([name, input]) => {
+      // Defaults stay as placeholders so they keep following future defaults
+      input.value = variables[name] === PROMPT_VARIABLES[name].defaultValue ? '' : variables[name];
+    });
+    return loadTemplate();
+  }).catch(error => {
+    console.error('Error loading prompt settings:', error);
+    showTemplateStatus('Could not load the prompt settings', 'error');
+  });
+
+  templateNameSelect.addEventListener('change', loadTemplate);
+  templateEditor.addEventListener('input', renderPreview);
+  previewText.addEventListener('input', renderPreview);
+  document.getElementById('previewTemplate').addEventListener('click', renderPreview);
+
+  document.getElementById('saveVariables').addEventListener('click', function() {
+    savePromptVariables(readVariables())
+      .then(() => showTemplateStatus('Variables saved', 'success'))
+      .catch(error => showTemplateStatus(error.message, 'error'));
+  });
+
+  document.getElementById('saveTemplate').addEventListener('click', function() {
+    savePromptTemplate(templateNameSelect.value, templateEditor.value)
+      .then(version => {
+        showTemplateStatus(`Saved as version ${version}`, 'success');
+        return loadTemplate();
+      })
+      .catch(error => showTemplateStatus(error.message, 'error'));
+  });
+
+  // The edits stay in the version history, so resetting can be undone too
+  document.getElementById('resetTemplate').addEventListener('click', function() {
+    activatePromptVersion(templateNameSelect.value, 0)
+      .then(() => {
+        showTemplateStatus('Default template restored', 'success');
+        return loadTemplate();
+      })
+      .catch(error => showTemplateStatus(error.message, 'error'));
+  });
+});
@@ -5,7 +5,6 @@
 // This file can be used to add functionality to the popup
 
 document.addEventListener('DOMContentLoaded', function() {
-  const apiKeyInput = document.getElementById('apiKey');
   const saveButton = document.getElementById('saveKey');
   const statusDiv = document.getElementById('status');
   
@@ -15,7 +14,32 @@ document.addEventListener('DOMContentLoaded', function() {
     gemini: document.getElementById('geminiToggle'),
     claude: document.getElementById('claudeToggle'),
     openai: document.getElementById('openaiToggle'),
-    groq: document.getElementById('groqToggle')
+    groq: document.getElementById('groqToggle'),
+    custom: document.getElementById('customToggle'),
+    mock: document.getElementById('mockToggle')
+  };
+  // API key inputs for each provider (see modules/providers.js)
+  const apiKeyInputs = {
+    gemini: document.getElementById('apiKey'),
+    claude: document.getElementById('claudeKey'),
+    openai: document.getElementById('openaiKey'),
+    groq: document.getElementById('groqKey'),
+    custom: document.getElementById('customKey')
+  };
+  // Non-secret settings inputs: the model for each task (see MODEL_TASKS), the custom endpoint URL
+  // and the replay settings of the mock provider, which has no models
+  const settingsInputs = {};
+  Object.keys(PROVIDERS).filter(model => PROVIDERS[model].settingsKeys.model).forEach(model => {
+    settingsInputs[model] = {
+      model: document.getElementById(`${model}Model`),
+      checkModel: document.getElementById(`${model}CheckModel`)
+    };
+  });
+  settingsInputs.custom.baseUrl = document.getElementById('customBaseUrl');
+  settingsInputs.mock = {
+    latency: document.getElementById('mockLatency'),
+    errorMode: document.getElementById('mockErrorMode'),
+    errorEvery: document.getElementById('mockErrorEvery')
   };
 
   // Set up accordion functionality
@@ -59,12 +83,319 @@ document.addEventListener('DOMContentLoaded', function() {
     }
   });
 
-  // Load saved API key if it exists
-  chrome.storage.sync.get(['googleApiKey', 'activeModel'], function(result) {
-    if (result.googleApiKey) {
-      apiKeyInput.value = result.googleApiKey;
-      showStatus('API key loaded', 'success');
+  // Saved keys are never loaded into the inputs, the background only reports which ones exist
+  let keyStoreStatus = { providers: {} };
+  const keySecurityStatus = document.getElementById('keySecurityStatus');
+  const keyStorageAreaSelect = document.getElementById('keyStorageArea');
+  const keyPassphraseInput = document.getElementById('keyPassphrase');
+  const unlockKeysButton = document.getElementById('unlockKeys');
+  const setPassphraseButton = document.getElementById('setPassphrase');
+  const removePassphraseButton = document.getElementById('removePassphrase');
+  const lockKeysButton = document.getElementById('lockKeys');
+
+  // Send a message to the background service worker and resolve with its result
+  function sendBackgroundMessage(message) {
+    return new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage(message, function(response) {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else if (!response || response.error) {
+          reject(new Error(response ? response.error : 'No response from background'));
+        } else {
+          resolve(response.result);
+        }
+      });
+    });
+  }
+
+  // Ask the background service worker to run a key store action (see modules/keyStore.js)
+  function sendKeyStoreMessage(action, data = {}) {
+    return sendBackgroundMessage({ type: 'KEY_STORE', action, ...data });
+  }
+
+  // Make a test call through a provider (see modules/providerCheck.js)
+  // An empty apiKey checks the saved key
+  function checkProvider(providerId, apiKey) {
+    return sendBackgroundMessage({
+      type: 'VALIDATE_PROVIDER',
+      providerId,
+      apiKey,
+      settings: readProviderSettings(providerId)
+    });
+  }
+
+  const providerCheckResult = document.getElementById('providerCheckResult');
+
+  // Show the outcome of a check, the models the key can use fill that provider's model pickers
+  function showProviderCheck(result) {
+    providerCheckResult.style.display = 'block';
+    providerCheckResult.textContent = result.detail
+      ? `${result.message} (${result.detail.substring(0, 160)})`
+      : result.message;
+    if (result.models.length > 0) {
+      fillModelList(result.providerId, result.models);
+    }
+  }
+
+  // Offer the listed models in both of a provider's model pickers
+  function fillModelList(providerId, models) {
+    const list = document.getElementById(`${providerId}Models`);
+    list.innerHTML = '';
+    models.forEach(model => {
+      const option = document.createElement('option');
+      option.value = model;
+      list.appendChild(option);
+    });
+  }
+
+  // Models are listed once per popup, when one of a provider's model pickers is first used
+  const listedProviders = new Set();
+  function loadModelList(providerId) {
+    if (listedProviders.has(providerId)) {
+      return;
+    }
+    listedProviders.add(providerId);
+    sendBackgroundMessage({ type: 'LIST_MODELS', providerId, settings: readProviderSettings(providerId) })
+      .then(models => fillModelList(providerId, models))
+      .catch(error => {
+        listedProviders.delete(providerId);
+        console.error(`Error listing ${providerId} models:`, error);
+      });
+  }
+
+  Object.entries(settingsInputs).filter(([providerId, inputs]) => inputs.model).forEach(([providerId, inputs]) => {
+    if (PROVIDERS[providerId].defaultModel) {
+      inputs.model.placeholder = `Default: ${PROVIDERS[providerId].defaultModel}`;
+    }
+
+    // A picked model applies right away, open tabs are notified through storage like any other setting
+    ['model', 'checkModel'].forEach(name => {
+      inputs[name].addEventListener('focus', function() {
+        loadModelList(providerId);
+      });
+      inputs[name].addEventListener('change', function() {
+        const storageKey = PROVIDERS[providerId].settingsKeys[name];
+        const value = inputs[name].value.trim();
+        const fallback = name === 'checkModel' ? 'the rewrite model' : 'its default model';
+        const done = () => showStatus(`${PROVIDERS[providerId].name} will use ${value || fallback}`, 'success');
+        if (value) {
+          chrome.storage.sync.set({ [storageKey]: value }, done);
+        } else {
+          chrome.storage.sync.remove(storageKey, done);
+        }
+      });
+    });
+  });
+
+  // Replay settings apply right away too, no test call is needed (see modules/mockProvider.js)
+  Object.entries(settingsInputs.mock).forEach(([name, input]) => {
+    input.addEventListener('change', function() {
+      const storageKey = PROVIDERS.mock.settingsKeys[name];
+      const value = input.value.trim();
+      const done = () => showStatus('Mock provider settings saved', 'success');
+      if (value) {
+        chrome.storage.sync.set({ [storageKey]: value }, done);
+      } else {
+        chrome.storage.sync.remove(storageKey, done);
+      }
+    });
+  });
+
+  // Reveal / rotate / delete buttons under each key input
+  const keyActions = {};
+  Object.entries(apiKeyInputs).forEach(([model, input]) => {
+    if (!input) {
+      return;
+    }
+    const status = document.createElement('div');
+    status.className = 'key-status';
+    const actions = document.createElement('div');
+    actions.className = 'key-actions';
+    const revealButton = document.createElement('button');
+    revealButton.textContent = 'Reveal';
+    const rotateButton = document.createElement('button');
+    rotateButton.textContent = 'Rotate';
+    const deleteButton = document.createElement('button');
+    deleteButton.textContent = 'Delete';
+    actions.append(revealButton, rotateButton, deleteButton);
+    input.after(status, actions);
+    keyActions[model] = { status, actions, revealButton };
+
+    revealButton.addEventListener('click', function() {
+      if (input.value) {
+        // Hide it again
+        input.value = '';
+        input.type = 'password';
+        revealButton.textContent = 'Reveal';
+        return;
+      }
+      sendKeyStoreMessage('reveal', { providerId: model })
+        .then(apiKey => {
+          input.value = apiKey;
+          input.type = 'text';
+          revealButton.textContent = 'Hide';
+        })
+        .catch(error => showStatus(error.message, 'error'));
+    });
+
+    rotateButton.addEventListener('click', function() {
+      input.value = '';
+      input.type = 'password';
+      input.placeholder = `Paste the new ${PROVIDERS[model].name} key, then save`;
+      revealButton.textContent = 'Reveal';
+      input.focus();
+    });
+
+    deleteButton.addEventListener('click', function() {
+      if (!confirm(`Delete the saved ${PROVIDERS[model].name} key?`)) {
+        return;
+      }
+      sendKeyStoreMessage('delete', { providerId: model })
+        .then(() => {
+          input.value = '';
+          showStatus(`${PROVIDERS[model].name} key deleted`, 'success');
+          loadKeyStoreStatus();
+        })
+        .catch(error => showStatus(error.message, 'error'));
+    });
+  });
+
+  // Show which providers have a saved key and the key security settings
+  function loadKeyStoreStatus() {
+    return sendKeyStoreMessage('getStatus')
+      .then(status => {
+        keyStoreStatus = status;
+        Object.entries(keyActions).forEach(([model, { status: statusLine, actions }]) => {
+          const saved = status.providers[model];
+          actions.style.display = saved ? 'flex' : 'none';
+          if (!saved) {
+            statusLine.textContent = '';
+          } else if (status.locked) {
+            statusLine.textContent = 'Saved, unlock with your passphrase to use it';
+          } else if (!saved.readable) {
+            statusLine.textContent = 'Saved on another device, enter it again to use it here';
+          } else {
+            statusLine.textContent = `Saved and encrypted on ${new Date(saved.updatedAt).toLocaleDateString()}`;
+          }
+        });
+
+        keyStorageAreaSelect.value = status.area;
+        unlockKeysButton.style.display = status.locked ? 'flex' : 'none';
+        setPassphraseButton.style.display = status.locked ? 'none' : 'flex';
+        setPassphraseButton.textContent = status.passphrase ? 'Change Passphrase' : 'Set Passphrase';
+        removePassphraseButton.style.display = status.passphrase && !status.locked ? 'flex' : 'none';
+        lockKeysButton.style.display = status.passphrase && !status.locked ? 'flex' : 'none';
+        keySecurityStatus.textContent = status.passphrase
+          ? (status.locked ? 'Keys are locked' : 'Keys are encrypted with your passphrase')
+          : 'Keys are encrypted with a key kept on this device';
+        return status;
+      })
+      .catch(error => {
+        console.error('Error loading key status:', error);
+        keySecurityStatus.textContent = 'Could not load the saved keys';
+      });
+  }
+  loadKeyStoreStatus();
+
+  keyStorageAreaSelect.addEventListener('change', function() {
+    sendKeyStoreMessage('setStorageArea', { area: keyStorageAreaSelect.value })
+      .then(() => {
+        showStatus(keyStorageAreaSelect.value === 'local' ? 'Keys are now kept on this device only' : 'Keys now sync across your devices', 'success');
+        loadKeyStoreStatus();
+      })
+      .catch(error => showStatus(error.message, 'error'));
+  });
+
+  unlockKeysButton.addEventListener('click', function() {
+    sendKeyStoreMessage('unlock', { passphrase: keyPassphraseInput.value })
+      .then(() => {
+        keyPassphraseInput.value = '';
+        showStatus('Keys unlocked', 'success');
+        loadKeyStoreStatus();
+      })
+      .catch(error => showStatus(error.message, 'error'));
+  });
+
+  setPassphraseButton.addEventListener('click', function() {
+    if (keyPassphraseInput.value.length < 8) {
+      showStatus('Please use a passphrase of at least 8 characters', 'error');
+      return;
     }
+    sendKeyStoreMessage('setPassphrase', { passphrase: keyPassphraseInput.value })
+      .then(() => {
+        keyPassphraseInput.value = '';
+        showStatus('Keys encrypted with your passphrase', 'success');
+        loadKeyStoreStatus();
+      })
+      .catch(error => showStatus(error.message, 'error'));
+  });
+
+  removePassphraseButton.addEventListener('click', function() {
+    sendKeyStoreMessage('setPassphrase', { passphrase: '' })
+      .then(() => {
+        showStatus('Passphrase removed', 'success');
+        loadKeyStoreStatus();
+      })
+      .catch(error => showStatus(error.message, 'error'));
+  });
+
+  lockKeysButton.addEventListener('click', function() {
+    sendKeyStoreMessage('lock')
+      .then(() => {
+        showStatus('Keys locked', 'success');
+        loadKeyStoreStatus();
+      })
+      .catch(error => showStatus(error.message, 'error'));
+  });
+
+  // Fallback providers, tried in order when the active one fails (see modules/fallback.js)
+  const fallbackSelects = Array.from(document.querySelectorAll('.fallback-select'));
+  fallbackSelects.forEach(select => {
+    const options = [
+      ['', 'None'],
+      ...Object.entries(PROVIDERS).map(([id, provider]) => [id, provider.name]),
+      [OFFLINE_RULES_FALLBACK.id, OFFLINE_RULES_FALLBACK.name]
+    ];
+    options.forEach(([value, label]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      select.appendChild(option);
+    });
+
+    select.addEventListener('change', function() {
+      // Nothing is tried after the offline rules, they always answer
+      const fallbacks = [];
+      fallbackSelects.forEach(other => {
+        const value = other.value;
+        if (value && !fallbacks.includes(value) && !fallbacks.includes(OFFLINE_RULES_FALLBACK.id)) {
+          fallbacks.push(value);
+        }
+      });
+      showFallbackProviders(fallbacks);
+      chrome.storage.sync.set({ [FALLBACK_PROVIDERS_KEY]: fallbacks }, function() {
+        showStatus(fallbacks.length > 0 ? 'Fallback providers saved' : 'Fallback providers removed', 'success');
+      });
+    });
+  });
+
+  function showFallbackProviders(fallbacks) {
+    fallbackSelects.forEach((select, index) => {
+      select.value = fallbacks[index] || '';
+    });
+  }
+
+  // Load saved provider settings and the active model
+  chrome.storage.sync.get([...getProviderStorageKeys(), 'activeModel'], function(result) {
+    showFallbackProviders(result[FALLBACK_PROVIDERS_KEY] || []);
+    Object.entries(settingsInputs).forEach(([model, inputs]) => {
+      const settings = getProviderSettingsFromStorage(model, result);
+      Object.entries(inputs).forEach(([name, input]) => {
+        if (input && settings[name]) {
+          input.value = settings[name];
+        }
+      });
+    });
     
     // Set active model toggle based on saved preference
     if (result.activeModel && modelToggles[result.activeModel]) {
@@ -83,15 +414,197 @@ document.addEventListener('DOMContentLoaded', function() {
     }
   });
 
-  // Save API key when button is clicked
-  saveButton.addEventListener('click', function() {
-    const apiKey = apiKeyInput.value.trim();
-    
-    if (!apiKey) {
-      showStatus('Please enter an API key', 'error');
+  // Underline backend settings
+  const grammarBackendSelect = document.getElementById('grammarBackend');
+  const languageToolUrlInput = document.getElementById('languageToolUrl');
+  const languageToolLanguageInput = document.getElementById('languageToolLanguage');
+  const languageToolFields = document.getElementById('languageToolFields');
+  const mergeOfflineRulesToggle = document.getElementById('mergeOfflineRules');
+  const mergeOfflineRulesContainer = document.getElementById('mergeOfflineRulesContainer');
+  const detailedGrammarCheckToggle = document.getElementById('detailedGrammarCheck');
+  const saveGrammarSettingsButton = document.getElementById('saveGrammarSettings');
+
+  // Only show the LanguageTool fields when that backend is selected
+  function updateLanguageToolFieldsVisibility() {
+    languageToolFields.style.display = grammarBackendSelect.value === 'languagetool' ? 'block' : 'none';
+    // Merging only makes sense when another backend does the checking
+    mergeOfflineRulesContainer.style.display = grammarBackendSelect.value === 'rules' ? 'none' : 'flex';
+  }
+  grammarBackendSelect.addEventListener('change', updateLanguageToolFieldsVisibility);
+
+  chrome.storage.sync.get(['grammarBackend', 'languageToolUrl', 'languageToolLanguage', 'mergeOfflineRules', 'detailedGrammarCheckEnabled'], function(result) {
+    grammarBackendSelect.value = result.grammarBackend || 'llm';
+    languageToolUrlInput.value = result.languageToolUrl || '';
+    languageToolLanguageInput.value = result.languageToolLanguage || 'auto';
+    mergeOfflineRulesToggle.checked = !!result.mergeOfflineRules;
+    detailedGrammarCheckToggle.checked = !!result.detailedGrammarCheckEnabled;
+    updateLanguageToolFieldsVisibility();
+  });
+
+  saveGrammarSettingsButton.addEventListener('click', function() {
+    const grammarSettings = {
+      backend: grammarBackendSelect.value,
+      languageToolUrl: languageToolUrlInput.value.trim(),
+      languageToolLanguage: languageToolLanguageInput.value.trim() || 'auto',
+      mergeOfflineRules: mergeOfflineRulesToggle.checked,
+      detailedCheckEnabled: detailedGrammarCheckToggle.checked
+    };
+
+    if (grammarSettings.backend === 'languagetool' && !isValidBaseUrl(grammarSettings.languageToolUrl)) {
+      showStatus('Please enter the LanguageTool server URL (http:// or https://)', 'error');
       return;
     }
 
+    chrome.storage.sync.set({
+      grammarBackend: grammarSettings.backend,
+      languageToolUrl: grammarSettings.languageToolUrl,
+      languageToolLanguage: grammarSettings.languageToolLanguage,
+      mergeOfflineRules: grammarSettings.mergeOfflineRules,
+      detailedGrammarCheckEnabled: grammarSettings.detailedCheckEnabled
+    }, function() {
+      showStatus('Grammar settings saved successfully', 'success');
+    });
+  });
+
+  // Offline spelling settings and installed dictionaries (see modules/spellcheck.js)
+  const spellCheckEnabledToggle = document.getElementById('spellCheckEnabled');
+  const spellLanguageSelect = document.getElementById('spellLanguage');
+  const saveSpellingSettingsButton = document.getElementById('saveSpellingSettings');
+  const removeDictionaryButton = document.getElementById('removeDictionary');
+  const dictionaryNameInput = document.getElementById('dictionaryName');
+  const affFileInput = document.getElementById('affFile');
+  const dicFileInput = document.getElementById('dicFile');
+  const installDictionaryButton = document.getElementById('installDictionary');
+
+  // Fill the dictionary select with the bundled and installed dictionaries
+  function loadDictionaryOptions(selectedId) {
+    chrome.storage.local.get([USER_DICTIONARY_LIST_KEY], function(result) {
+      const installed = result[USER_DICTIONARY_LIST_KEY] || [];
+      spellLanguageSelect.innerHTML = '';
+      Object.entries(BUNDLED_DICTIONARIES).forEach(([id, dictionary]) => {
+        spellLanguageSelect.appendChild(new Option(`${dictionary.name} (built-in)`, id));
+      });
+      installed.forEach(dictionary => {
+        spellLanguageSelect.appendChild(new Option(dictionary.name, dictionary.id));
+      });
+      spellLanguageSelect.value = selectedId && spellLanguageSelect.querySelector(`option[value="${selectedId}"]`)
+        ? selectedId
+        : DEFAULT_SPELL_LANGUAGE;
+      updateRemoveDictionaryVisibility();
+    });
+  }
+
+  // Only installed dictionaries can be removed
+  function updateRemoveDictionaryVisibility() {
+    removeDictionaryButton.style.display = BUNDLED_DICTIONARIES[spellLanguageSelect.value] ? 'none' : 'flex';
+  }
+  spellLanguageSelect.addEventListener('change', updateRemoveDictionaryVisibility);
+
+  chrome.storage.sync.get(['spellCheckEnabled', 'spellLanguage'], function(result) {
+    spellCheckEnabledToggle.checked = result.spellCheckEnabled !== false;
+    loadDictionaryOptions(result.spellLanguage);
+  });
+
+  // Save the spelling settings, content scripts also reload installed dictionaries when those change
+  function saveSpellingSettings(message, spellLanguage = spellLanguageSelect.value) {
+    const spellingSettings = {
+      spellCheckEnabled: spellCheckEnabledToggle.checked,
+      spellLanguage: spellLanguage || DEFAULT_SPELL_LANGUAGE
+    };
+    chrome.storage.sync.set(spellingSettings, function() {
+      showStatus(message, 'success');
+    });
+  }
+
+  saveSpellingSettingsButton.addEventListener('click', function() {
+    saveSpellingSettings('Spelling settings saved successfully');
+  });
+
+  // Hunspell files declare their encoding with a SET line (UTF-8, ISO8859-1...)
+  async function readDictionaryFile(file, encoding) {
+    const buffer = await file.arrayBuffer();
+    try {
+      return new TextDecoder(encoding.toLowerCase().replace(/^microsoft-/, '')).decode(buffer);
+    } catch (error) {
+      console.warn(`Unknown dictionary encoding ${encoding}, reading as UTF-8`);
+      return new TextDecoder('utf-8').decode(buffer);
+    }
+  }
+
+  installDictionaryButton.addEventListener('click', async function() {
+    const name = dictionaryNameInput.value.trim();
+    const affFile = affFileInput.files[0];
+    const dicFile = dicFileInput.files[0];
+
+    if (!/^[A-Za-z0-9_-]+$/.test(name)) {
+      showStatus('Please enter a dictionary name such as en_GB or de_DE', 'error');
+      return;
+    }
+    if (BUNDLED_DICTIONARIES[name]) {
+      showStatus(`${name} is already built in`, 'error');
+      return;
+    }
+    if (!affFile || !dicFile) {
+      showStatus('Please choose both the .aff and the .dic file', 'error');
+      return;
+    }
+
+    try {
+      const affHeader = new TextDecoder('latin1').decode(await affFile.arrayBuffer());
+      const encodingMatch = affHeader.match(/^SET\s+(\S+)/m);
+      const encoding = encodingMatch ? encodingMatch[1] : 'UTF-8';
+      const aff = await readDictionaryFile(affFile, encoding);
+      const dic = await readDictionaryFile(dicFile, encoding);
+
+      // Parse once here so broken files are rejected before they are stored
+      const spellChecker = createSpellChecker(aff, dic);
+      if (spellChecker.wordCount === 0) {
+        showStatus('The .dic file does not contain any words', 'error');
+        return;
+      }
+
+      chrome.storage.local.get([USER_DICTIONARY_LIST_KEY], function(result) {
+        const installed = (result[USER_DICTIONARY_LIST_KEY] || []).filter(dictionary => dictionary.id !== name);
+        installed.push({ id: name, name: name });
+        chrome.storage.local.set({
+          [USER_DICTIONARY_KEY_PREFIX + name]: { aff, dic },
+          [USER_DICTIONARY_LIST_KEY]: installed
+        }, function() {
+          if (chrome.runtime.lastError) {
+            showStatus(`Could not install dictionary: ${chrome.runtime.lastError.message}`, 'error');
+            return;
+          }
+          dictionaryNameInput.value = '';
+          affFileInput.value = '';
+          dicFileInput.value = '';
+          loadDictionaryOptions(name);
+          saveSpellingSettings(`Installed ${name} (${spellChecker.wordCount} words)`, name);
+        });
+      });
+    } catch (error) {
+      console.error('Error installing dictionary:', error);
+      showStatus('Could not read the dictionary files', 'error');
+    }
+  });
+
+  removeDictionaryButton.addEventListener('click', function() {
+    const id = spellLanguageSelect.value;
+    if (BUNDLED_DICTIONARIES[id]) {
+      return;
+    }
+    chrome.storage.local.get([USER_DICTIONARY_LIST_KEY], function(result) {
+      const installed = (result[USER_DICTIONARY_LIST_KEY] || []).filter(dictionary => dictionary.id !== id);
+      chrome.storage.local.set({ [USER_DICTIONARY_LIST_KEY]: installed }, function() {
+        chrome.storage.local.remove(USER_DICTIONARY_KEY_PREFIX + id, function() {
+          loadDictionaryOptions(DEFAULT_SPELL_LANGUAGE);
+          saveSpellingSettings(`Removed ${id}`, DEFAULT_SPELL_LANGUAGE);
+        });
+      });
+    });
+  });
+
+  // Save API keys when button is clicked
+  saveButton.addEventListener('click', function() {
     // Get the active model
     let activeModel = 'gemini'; // Default
     Object.entries(modelToggles).forEach(([model, toggle]) => {
@@ -99,20 +612,113 @@ document.addEventListener('DOMContentLoaded', function() {
         activeModel = model;
       }
     });
+
+    const apiKey = apiKeyInputs[activeModel] ? apiKeyInputs[activeModel].value.trim() : '';
+    const providerSettings = readProviderSettings(activeModel);
+    // A key saved earlier counts, the input only holds new keys
+    const hasSavedKey = !!keyStoreStatus.providers[activeModel];
     
-    // Save API key with active model context
+    if (!isProviderConfigured(activeModel, apiKey || (hasSavedKey ? 'saved' : ''), providerSettings)) {
+      if (PROVIDERS[activeModel].requiresApiKey === false) {
+        showStatus(`Please enter a base URL and model name for the ${PROVIDERS[activeModel].name}`, 'error');
+      } else {
+        showStatus(`Please enter an API key for ${PROVIDERS[activeModel].name}`, 'error');
+      }
+      return;
+    }
+    
+    if (providerSettings.baseUrl && !isValidBaseUrl(providerSettings.baseUrl)) {
+      showStatus('Base URL must start with http:// or https://', 'error');
+      return;
+    }
+    
+    // Check the key with a test call before saving it, a rejected key is not saved
+    saveButton.disabled = true;
+    showStatus(`Checking ${PROVIDERS[activeModel].name}...`, 'success');
+    checkProvider(activeModel, apiKey)
+      .then(result => {
+        showProviderCheck(result);
+        if (result.status === 'invalid_key') {
+          showStatus(result.message, 'error');
+          return;
+        }
+        return saveProviderSettings(activeModel).then(() => {
+          if (result.status === 'ok') {
+            showStatus('API key saved successfully', 'success');
+          } else {
+            showStatus(`API key saved, but: ${result.message}`, 'error');
+          }
+        });
+      })
+      .catch(error => showStatus(error.message, 'error'))
+      .finally(() => {
+        saveButton.disabled = false;
+      });
+  });
+
+  // Save the settings in sync storage and every new key encrypted in the key store
+  function saveProviderSettings(activeModel) {
     const dataToSave = {
-      googleApiKey: apiKey,
       activeModel: activeModel
     };
+    const keysToRemove = [];
+    Object.keys(settingsInputs).forEach(model => {
+      const settings = readProviderSettings(model);
+      Object.entries(PROVIDERS[model].settingsKeys).forEach(([name, storageKey]) => {
+        if (settings[name]) {
+          dataToSave[storageKey] = settings[name];
+        } else {
+          keysToRemove.push(storageKey);
+        }
+      });
+    });
+    const newKeys = Object.entries(apiKeyInputs)
+      .map(([model, input]) => [model, input ? input.value.trim() : ''])
+      .filter(([model, value]) => value);
     
-    chrome.storage.sync.set(dataToSave, function() {
-      showStatus('API key saved successfully', 'success');
-      
-      // Attempt to notify content script that API key has been updated
-      notifyContentScripts(apiKey, activeModel);
+    return Promise.all(newKeys.map(([model, value]) => sendKeyStoreMessage('save', { providerId: model, apiKey: value })))
+      .then(() => new Promise(resolve => {
+        chrome.storage.sync.remove(keysToRemove, function() {
+          chrome.storage.sync.set(dataToSave, function() {
+            // Open tabs pick the change up through the background service worker, which never forwards the key
+            Object.values(apiKeyInputs).forEach(input => {
+              if (input) {
+                input.value = '';
+                input.type = 'password';
+              }
+            });
+            Object.values(keyActions).forEach(({ revealButton }) => {
+              revealButton.textContent = 'Reveal';
+            });
+            loadKeyStoreStatus();
+            resolve();
+          });
+        });
+      }));
+  }
+
+  // Read the non-secret settings entered for a provider
+  function readProviderSettings(model) {
+    const settings = {};
+    const inputs = settingsInputs[model] || {};
+    Object.entries(inputs).forEach(([name, input]) => {
+      const value = input ? input.value.trim() : '';
+      if (value) {
+        settings[name] = value;
+      }
     });
-  });
+    return settings;
+  }
+
+  // Check that a custom endpoint base URL is an http(s) URL
+  function isValidBaseUrl(value) {
+    try {
+      const url = new URL(value);
+      return url.protocol === 'http:' || url.protocol === 'https:';
+    } catch (e) {
+      return false;
+    }
+  }
 
   // Function to save active model selection
   function saveActiveModel(model) {
@@ -124,56 +730,188 @@ document.addEventListener('DOMContentLoaded', function() {
       }
     });
   }
-  
-  // Function to notify all content scripts in active tabs about the API key update
-  function notifyContentScripts(apiKey, activeModel) {
-    // Query for all tabs
-    chrome.tabs.query({}, function(tabs) {
-      if (chrome.runtime.lastError) {
-        console.error("Error querying tabs:", chrome.runtime.lastError);
-        return;
-      }
-      
-      if (tabs.length === 0) {
-        console.log("No tabs found to send message to");
-        return;
-      }
-      
-      // Send message to each tab
-      let messagesSent = 0;
-      tabs.forEach(function(tab) {
-        // Skip chrome:// urls as they can't run content scripts
-        if (tab.url && tab.url.startsWith("chrome://")) {
-          return;
-        }
-        
-        try {
-          chrome.tabs.sendMessage(
-            tab.id, 
-            { 
-              type: 'API_KEY_UPDATED', 
-              apiKey: apiKey,
-              activeModel: activeModel
-            },
-            function(response) {
-              if (chrome.runtime.lastError) {
-                // This error is expected for tabs without our content script
-                console.log(`Message to tab ${tab.id} failed: ${chrome.runtime.lastError.message}`);
-              } else if (response) {
-                console.log(`Message to tab ${tab.id} succeeded:`, response);
-                messagesSent++;
-              }
-            }
-          );
-        } catch (error) {
-          console.error(`Error sending message to tab ${tab.id}:`, error);
-        }
+
+  // Checks and suggestions are saved so the same text is never sent twice (see modules/resultCache.js)
+  const resultCacheStatus = document.getElementById('resultCacheStatus');
+  const clearResultCacheButton = document.getElementById('clearResultCache');
+
+  function loadResultCacheStatus() {
+    sendBackgroundMessage({ type: 'RESULT_CACHE', action: 'status' })
+      .then(status => {
+        resultCacheStatus.textContent = `${status.entries} saved result${status.entries === 1 ? '' : 's'}`;
+      })
+      .catch(error => {
+        console.error('Error reading the result cache:', error);
+        resultCacheStatus.textContent = '';
       });
-      
-      console.log(`Attempted to send message to ${tabs.length} tabs`);
+  }
+
+  clearResultCacheButton.addEventListener('click', function() {
+    sendBackgroundMessage({ type: 'RESULT_CACHE', action: 'clear' })
+      .then(() => {
+        showStatus('Saved results cleared', 'success');
+        loadResultCacheStatus();
+      })
+      .catch(error => showStatus(`Could not clear saved results: ${error.message}`, 'error'));
+  });
+
+  loadResultCacheStatus();
+
+  // Responses of the real providers, recorded for the mock provider to replay
+  const mockRecordingToggle = document.getElementById('mockRecording');
+  const mockRecordingStatus = document.getElementById('mockRecordingStatus');
+  const exportMockRecordingsButton = document.getElementById('exportMockRecordings');
+  const clearMockRecordingsButton = document.getElementById('clearMockRecordings');
+
+  function loadMockRecordingStatus() {
+    sendBackgroundMessage({ type: 'MOCK_RECORDINGS', action: 'status' })
+      .then(status => {
+        mockRecordingToggle.checked = status.recording;
+        mockRecordingStatus.textContent = `${status.entries} recorded response${status.entries === 1 ? '' : 's'}`;
+      })
+      .catch(error => {
+        console.error('Error reading the recordings:', error);
+        mockRecordingStatus.textContent = '';
+      });
+  }
+
+  mockRecordingToggle.addEventListener('change', function() {
+    chrome.storage.sync.set({ [MOCK_RECORDING_KEY]: mockRecordingToggle.checked }, function() {
+      showStatus(mockRecordingToggle.checked ? 'Recording the responses of the active provider' : 'Recording stopped', 'success');
     });
+  });
+
+  // Saved as a file in the fixtures format, to replace fixtures/mock-responses.json
+  exportMockRecordingsButton.addEventListener('click', function() {
+    sendBackgroundMessage({ type: 'MOCK_RECORDINGS', action: 'export' })
+      .then(fixtures => {
+        const blob = new Blob([JSON.stringify(fixtures, null, 2)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = 'mock-responses.json';
+        link.click();
+        // Released once the download has taken the file
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+      })
+      .catch(error => showStatus(`Could not export the recordings: ${error.message}`, 'error'));
+  });
+
+  clearMockRecordingsButton.addEventListener('click', function() {
+    sendBackgroundMessage({ type: 'MOCK_RECORDINGS', action: 'clear' })
+      .then(() => {
+        showStatus('Recordings cleared', 'success');
+        loadMockRecordingStatus();
+      })
+      .catch(error => showStatus(`Could not clear the recordings: ${error.message}`, 'error'));
+  });
+
+  loadMockRecordingStatus();
+
+  // Token totals and the daily budget (see modules/usage.js)
+  const usageBudgetStatus = document.getElementById('usageBudgetStatus');
+  const usageSitesList = document.getElementById('usageSites');
+  const usageDaysList = document.getElementById('usageDays');
+  const budgetTypeSelect = document.getElementById('budgetType');
+  const budgetLimitInput = document.getElementById('budgetLimit');
+  const saveBudgetButton = document.getElementById('saveBudget');
+  const clearUsageButton = document.getElementById('clearUsage');
+
+  function formatTokens(totals) {
+    const tokens = (totals.promptTokens + totals.responseTokens).toLocaleString();
+    // Some providers report no usage, their tokens are estimated from the text
+    return totals.estimated > 0 ? `~${tokens} tokens` : `${tokens} tokens`;
+  }
+
+  function formatCost(cost) {
+    return `$${cost.toFixed(cost < 1 ? 4 : 2)}`;
+  }
+
+  function addUsageRow(list, label, totals) {
+    const row = document.createElement('div');
+    row.className = 'usage-row';
+    const name = document.createElement('span');
+    name.textContent = label;
+    const value = document.createElement('span');
+    value.textContent = `${formatTokens(totals)} · ${formatCost(totals.cost)}`;
+    row.appendChild(name);
+    row.appendChild(value);
+    list.appendChild(row);
   }
 
+  function showUsageSummary(summary) {
+    const budget = summary.budget;
+    if (budget.limit > 0) {
+      const used = budget.type === 'cost' ? formatCost(budget.used) : `${budget.used.toLocaleString()} tokens`;
+      const limit = budget.type === 'cost' ? formatCost(budget.limit) : `${budget.limit.toLocaleString()} tokens`;
+      usageBudgetStatus.textContent = budget.reached
+        ? `Daily budget reached (${used} of ${limit}), underline checks are paused until tomorrow`
+        : `${used} of ${limit} used today`;
+      usageBudgetStatus.classList.toggle('usage-warning', budget.reached);
+    } else {
+      usageBudgetStatus.textContent = 'No daily budget set';
+      usageBudgetStatus.classList.remove('usage-warning');
+    }
+
+    usageSitesList.innerHTML = '';
+    usageDaysList.innerHTML = '';
+    const today = summary.days[0];
+    const todaySites = today && today.date === summary.today ? Object.entries(today.sites) : [];
+    if (todaySites.length === 0) {
+      usageSitesList.textContent = 'No requests today';
+    }
+    todaySites
+      .sort((a, b) => (b[1].promptTokens + b[1].responseTokens) - (a[1].promptTokens + a[1].responseTokens))
+      .forEach(([site, totals]) => addUsageRow(usageSitesList, site === 'extension' ? 'This extension' : site, totals));
+
+    if (summary.days.length === 0) {
+      usageDaysList.textContent = 'No requests yet';
+    }
+    summary.days.slice(0, 7).forEach(day => addUsageRow(usageDaysList, day.date, day.total));
+  }
+
+  function loadUsageSummary() {
+    sendBackgroundMessage({ type: 'USAGE', action: 'summary' })
+      .then(showUsageSummary)
+      .catch(error => {
+        console.error('Error reading usage:', error);
+        usageBudgetStatus.textContent = 'Usage is not available';
+      });
+  }
+
+  chrome.storage.sync.get(['dailyBudget'], function(result) {
+    const budget = result.dailyBudget || {};
+    budgetTypeSelect.value = budget.type === 'cost' ? 'cost' : 'tokens';
+    budgetLimitInput.value = budget.limit > 0 ? budget.limit : '';
+  });
+
+  saveBudgetButton.addEventListener('click', function() {
+    const limit = Number(budgetLimitInput.value || 0);
+    if (!Number.isFinite(limit) || limit < 0) {
+      showStatus('Please enter a budget of 0 or more', 'error');
+      return;
+    }
+    chrome.storage.sync.set({ dailyBudget: { type: budgetTypeSelect.value, limit } }, function() {
+      showStatus(limit > 0 ? 'Daily budget saved' : 'Daily budget removed', 'success');
+      loadUsageSummary();
+    });
+  });
+
+  clearUsageButton.addEventListener('click', function() {
+    sendBackgroundMessage({ type: 'USAGE', action: 'clear' })
+      .then(() => {
+        showStatus('Usage history cleared', 'success');
+        loadUsageSummary();
+      })
+      .catch(error => showStatus(`Could not clear usage: ${error.message}`, 'error'));
+  });
+
+  loadUsageSummary();
+
+  // Prompt templates are edited on the options page (options.html)
+  document.getElementById('openOptions').addEventListener('click', function() {
+    chrome.runtime.openOptionsPage();
+  });
+  
   function showStatus(message, type) {
     statusDiv.textContent = message;
     statusDiv.className = `status ${type} visible`;